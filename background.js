@@ -6,6 +6,22 @@
 // Import utilities
 importScripts('config.js');
 importScripts('utils/logger.js');
+importScripts('utils/wfdl-parser.js');
+importScripts('utils/wfdl-canonicalizer.js');
+importScripts('utils/wfdl-diagnostics.js');
+importScripts('utils/designer-capabilities.js');
+importScripts('utils/validation-executor.js');
+importScripts('utils/screenshot-capturer.js');
+importScripts('utils/pair-store.js');
+importScripts('utils/llm-providers.js');
+importScripts('utils/prompt-library.js');
+importScripts('utils/selection-capture.js');
+importScripts('utils/reconnect-policy.js');
+importScripts('utils/websocket-manager.js');
+importScripts('utils/designer-tab-registry.js');
+importScripts('utils/multi-tab-exporter.js');
+importScripts('utils/outbound-queue.js');
+importScripts('utils/server-request-handler.js');
 
 // Initialize logger
 const logger = new Logger('Background');
@@ -13,6 +29,80 @@ const logger = new Logger('Background');
 // Extension state
 let extensionId = null;
 
+// Designer tabs whose wf APIs are ready, keyed by tab id. Mirrored to chrome.storage.session
+// so the list survives the service worker being suspended.
+const READY_DESIGNERS_KEY = 'readyDesigners';
+
+// Runs exports and wf.validateWFDL on Designer tabs
+const validationExecutor = new ValidationExecutor();
+const exportComponents = async (tabId) => {
+  const result = await validationExecutor.exportPage(tabId);
+  return { context: result.context, components: result.validationResult?.components || {} };
+};
+
+// Summarizes component screenshots with the configured LLM provider and the active prompt template
+const llmService = new LLMService();
+const promptLibrary = new PromptLibrary({ defaultPrompt: DEFAULT_SUMMARY_PROMPT });
+const summarizeComponent = (screenshot, component) => llmService.summarizeComponent(screenshot, component, promptLibrary);
+
+// Captures and summarizes the selected Designer element when the capture-selection shortcut is pressed
+let badgeTimer = null;
+const selectionCapture = new SelectionCapture({
+  exportComponents,
+  capabilities: validationExecutor.capabilities,
+  capturer: new ScreenshotCapturer(),
+  pairStore: new PairStore(),
+  summarize: summarizeComponent
+});
+
+// The WebSocket server connection lives here, not in the popup, so server requests are handled
+// while the popup is closed. Whether the user wants it connected is kept in chrome.storage.local.
+const CONNECTION_KEY = 'serverConnection';
+const wsManager = new WebSocketManager({ describe: () => describeExtension() });
+const tabRegistry = new DesignerTabRegistry();
+const outboundQueue = new OutboundQueue();
+const serverHandler = new ServerRequestHandler({
+  wsManager,
+  validationExecutor,
+  tabRegistry,
+  multiTabExporter: new MultiTabExporter({ registry: tabRegistry, exportTab: exportComponents }),
+  outboundQueue
+});
+
+// Popup views attached with chrome.runtime.connect({ name: 'popup' }), and what they are shown
+const popupPorts = new Set();
+const recentLog = [];
+let connectionStatus = 'Disconnected';
+
+/**
+ * Stream log entries to open popups, keeping the most recent ones for popups that open later
+ */
+self.logToUI = (message, level) => {
+  const entry = { message, level, timestamp: new Date().toISOString() };
+  recentLog.push(entry);
+  if (recentLog.length > CONFIG.ui.activityLog.maxEntries) {
+    recentLog.shift();
+  }
+  broadcastToPopups({ type: 'log', entry });
+};
+
+wsManager.on('open', () => setConnectionStatus('Connected'));
+wsManager.on('close', () => setConnectionStatus(wsManager.rejection ? 'Rejected' : 'Disconnected'));
+wsManager.on('registered', async () => {
+  // Ready tabs first, then any designer_gone that couldn't be sent before registration
+  await announceReadyDesigners();
+  serverHandler.flushReadiness();
+  serverHandler.flushQueue();
+});
+wsManager.on('reconnect', (reconnect) => broadcastToPopups({ type: 'reconnect', reconnect }));
+wsManager.on('rejected', ({ reason }) => logger.error(`Server rejected this extension: ${reason}`));
+wsManager.on('error', () => setConnectionStatus('Error'));
+wsManager.on('message', (message) => serverHandler.handleMessage(message));
+
+serverHandler.on('stats', (stats) => broadcastToPopups({ type: 'stats', stats }));
+outboundQueue.on('change', (entries) => broadcastToPopups({ type: 'queue', queue: describeQueue(entries) }));
+serverHandler.on('validated', ({ wfdl, validation }) => broadcastToPopups({ type: 'validated', wfdl, validation }));
+
 /**
  * Handle extension installation
  */
@@ -51,6 +141,15 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       sendResponse({ success: true });
       break;
 
+    case 'designer_ready':
+    case 'designer_gone':
+      // Sent by content scripts; recorded and relayed to the server
+      updateReadyDesigners(request, sender.tab).then(() => sendResponse({ success: true }));
+      if (sender.tab) {
+        serverHandler.sendDesignerReadiness(request.type, { ...request, tabId: sender.tab.id });
+      }
+      break;
+
     default:
       logger.warn('Unknown message type', { type: request.type });
       sendResponse({ success: false, error: 'Unknown message type' });
@@ -60,65 +159,292 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 });
 
 /**
- * Handle get WFDL requests from WebSocket (via popup)
- * @param {object} messageData - The validation request data
- * @returns {Promise<object>} The validation result
+ * Record a content script's readiness change
+ * @param {object} message - The designer_ready / designer_gone message
+ * @param {object} tab - The sender tab
  */
-async function handleGetWFDLRequest(messageData) {
-  logger.info('Handling get WFDL request', { requestId: messageData.requestId });
+async function updateReadyDesigners(message, tab) {
+  if (!tab) return;
 
-  try {
-    // Find active Designer tabs
-    const designerTabs = await chrome.tabs.query({
-      url: CONFIG.designerUrls.patterns
+  const designers = await getReadyDesigners();
+  if (message.type === 'designer_ready') {
+    designers[tab.id] = {
+      tabId: tab.id,
+      url: message.url,
+      title: message.title,
+      capabilities: message.capabilities,
+      readyAt: message.timestamp
+    };
+    logger.info('Designer ready', { tabId: tab.id, url: message.url });
+  } else {
+    delete designers[tab.id];
+    logger.info('Designer gone', { tabId: tab.id });
+  }
+
+  await chrome.storage.session.set({ [READY_DESIGNERS_KEY]: designers });
+}
+
+/**
+ * Get the ready Designer tabs
+ * @returns {Promise<object>} Map of tab id to { tabId, url, title, capabilities, readyAt }
+ */
+async function getReadyDesigners() {
+  const stored = await chrome.storage.session.get(READY_DESIGNERS_KEY);
+  return stored[READY_DESIGNERS_KEY] || {};
+}
+
+/**
+ * A ready Designer tab closed or navigated away: its content script can't always say so itself
+ * @param {number} tabId - The tab ID
+ */
+async function dropReadyDesigner(tabId) {
+  const designers = await getReadyDesigners();
+  if (!designers[tabId]) return;
+
+  const { url, title } = designers[tabId];
+  delete designers[tabId];
+  await chrome.storage.session.set({ [READY_DESIGNERS_KEY]: designers });
+
+  logger.info('Designer tab closed or navigated', { tabId });
+  serverHandler.sendDesignerReadiness('designer_gone', { tabId, url, title });
+}
+
+/**
+ * Tell a newly connected server which Designer tabs are ready
+ */
+async function announceReadyDesigners() {
+  const designers = await getReadyDesigners();
+  Object.values(designers).forEach(designer => {
+    serverHandler.sendDesignerReadiness('designer_ready', designer);
+  });
+}
+
+/**
+ * Describe this extension for the server's registration handshake
+ * @returns {Promise<object>} { extensionVersion, capabilities: { requests, wfApis, designerTabs } }
+ */
+async function describeExtension() {
+  const [designers, ready] = await Promise.all([tabRegistry.list(), getReadyDesigners()]);
+
+  // wf methods found on any ready Designer tab
+  const wfApis = new Set();
+  Object.values(ready).forEach(designer => {
+    Object.entries(designer.capabilities?.methods || {}).forEach(([name, method]) => {
+      if (method.type === 'function') wfApis.add(name);
     });
+  });
 
-    if (designerTabs.length === 0) {
-      throw new Error('No Webflow Designer tabs found');
+  return {
+    extensionVersion: CONFIG.extension.version,
+    capabilities: {
+      requests: serverHandler.requestTypes,
+      wfApis: [...wfApis],
+      designerTabs: designers.map(designer => ({
+        tabId: designer.tabId,
+        url: designer.url,
+        title: designer.title,
+        siteSlug: designer.siteSlug,
+        pageId: designer.pageId,
+        ready: Boolean(ready[designer.tabId]),
+        operations: ready[designer.tabId]?.capabilities?.operations || null
+      }))
     }
+  };
+}
 
-    // Filter for loaded and active tabs
-    const loadedTabs = designerTabs.filter(tab =>
-      tab.status === 'complete' &&
-      !tab.discarded &&
-      CONFIG.designerUrls.isDesignerPage(tab.url)
-    );
+/**
+ * Connect to the server and remember that the connection is wanted
+ */
+async function connectServer() {
+  await chrome.storage.local.set({ [CONNECTION_KEY]: { enabled: true } });
+  if (wsManager.isConnected) {
+    setConnectionStatus('Connected');
+    return;
+  }
+
+  logger.info('Connecting to WebSocket...');
+  setConnectionStatus('Connecting...');
 
-    if (loadedTabs.length === 0) {
-      throw new Error('No loaded Designer tabs found - please refresh Designer page');
+  try {
+    const connected = await wsManager.connect();
+    if (connected) {
+      logger.info('Successfully connected to WebSocket');
+    } else {
+      logger.error('Failed to connect to WebSocket');
+      setConnectionStatus('Failed');
     }
+  } catch (error) {
+    logger.error('Connection error', { error: error.message });
+    setConnectionStatus('Error');
+  }
+}
+
+/**
+ * Reconnect now instead of waiting for the reconnect policy's next attempt
+ */
+async function retryServer() {
+  setConnectionStatus('Connecting...');
+  if (!(await wsManager.retryNow())) {
+    setConnectionStatus(wsManager.rejection ? 'Rejected' : 'Disconnected');
+  }
+}
 
-    // Use the first loaded tab (or active tab if available)
-    const activeTab = loadedTabs.find(tab => tab.active) || loadedTabs[0];
+/**
+ * Disconnect from the server and stay disconnected until asked to connect again
+ */
+async function disconnectServer() {
+  await chrome.storage.local.set({ [CONNECTION_KEY]: { enabled: false } });
+  logger.info('Disconnecting from WebSocket...');
+  wsManager.disconnect();
+  setConnectionStatus('Disconnected');
+}
 
-    logger.info('Using Designer tab', {
-      tabId: activeTab.id,
-      title: activeTab.title,
-      url: activeTab.url
-    });
+/**
+ * Connect if the user wants a connection and there isn't one (at startup and on the keepalive alarm).
+ * Lost connections follow the reconnect policy's schedule, which survives the worker being suspended:
+ * an attempt that isn't due yet is waited for. A server that rejected this extension, or that the
+ * policy gave up on, is only retried when the user asks.
+ */
+async function restoreConnection() {
+  const stored = await chrome.storage.local.get(CONNECTION_KEY);
+  const enabled = stored[CONNECTION_KEY]?.enabled ?? true;
+  await wsManager.reconnectPolicy.restored;
+  if (!enabled || wsManager.isConnected || wsManager.connectionPromise || wsManager.rejection) {
+    return;
+  }
+
+  if (wsManager.reconnectPolicy.exhausted || await wsManager.resumeReconnection()) {
+    return;
+  }
+  await connectServer();
+}
+
+/**
+ * Update the connection status shown in popups
+ * @param {string} status - 'Connected', 'Connecting...', 'Disconnected', 'Rejected', 'Failed' or 'Error'
+ */
+function setConnectionStatus(status) {
+  connectionStatus = status;
+  broadcastToPopups({ type: 'status', status });
+}
+
+/**
+ * Summarize outbound queue entries for the popup (the messages themselves can be large)
+ * @param {Array<object>} entries - The queue entries
+ * @returns {Array<object>} [{ requestId, type, queuedAt }]
+ */
+function describeQueue(entries) {
+  return entries.map(({ requestId, type, queuedAt }) => ({ requestId, type, queuedAt }));
+}
+
+/**
+ * Send a message to every attached popup
+ * @param {object} message - The message
+ */
+function broadcastToPopups(message) {
+  popupPorts.forEach(port => port.postMessage(message));
+}
+
+/**
+ * Attach popups: send the current state, then take connect/disconnect commands
+ */
+chrome.runtime.onConnect.addListener(async (port) => {
+  if (port.name !== 'popup') return;
+
+  popupPorts.add(port);
+  port.onDisconnect.addListener(() => popupPorts.delete(port));
+  port.onMessage.addListener((message) => {
+    if (message.type === 'connect') {
+      connectServer();
+    } else if (message.type === 'disconnect') {
+      disconnectServer();
+    } else if (message.type === 'retry_now') {
+      retryServer();
+    }
+  });
 
-    // Send get_WFDL request to content script
-    const result = await chrome.tabs.sendMessage(activeTab.id, {
-      type: 'get_wfdl',
-      wfdl: messageData.payload || messageData.wfdl,
-      requestId: messageData.requestId
+  const queue = describeQueue(await outboundQueue.list());
+  await wsManager.reconnectPolicy.restored;
+  if (popupPorts.has(port)) {
+    port.postMessage({
+      type: 'state',
+      status: connectionStatus,
+      stats: serverHandler.stats,
+      log: recentLog,
+      queue,
+      reconnect: wsManager.reconnectPolicy.getState()
     });
+  }
+});
+
+/**
+ * Keepalive: the WebSocket heartbeat (every CONFIG.websocket.heartbeatInterval ms) keeps the worker
+ * running while connected; the alarm wakes a suspended worker, reconnects a lost connection and
+ * retries queued results
+ */
+chrome.alarms.create('keepalive', { periodInMinutes: CONFIG.websocket.keepAlivePeriod });
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === 'keepalive') {
+    restoreConnection();
+    serverHandler.flushQueue();
+  }
+});
+
+restoreConnection();
+
+chrome.tabs.onRemoved.addListener(tabId => dropReadyDesigner(tabId));
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  // Only full loads: in-app navigation (pushState) keeps the same wf and content script
+  if (changeInfo.status === 'loading') {
+    dropReadyDesigner(tabId);
+  }
+});
+
+/**
+ * Handle keyboard shortcuts (manifest "commands")
+ */
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === 'capture-selection') {
+    captureSelection(tab);
+  }
+});
+
+/**
+ * Capture the element selected on a Designer tab and report the outcome on the toolbar badge
+ * @param {object} tab - The tab the shortcut was pressed on
+ */
+async function captureSelection(tab) {
+  if (!tab || !CONFIG.designerUrls.isDesignerPage(tab.url)) {
+    logger.warn('Selection capture needs a Designer tab', { url: tab?.url });
+    showBadge('!', '#e53e3e');
+    return;
+  }
 
-    logger.info('got WFDL of the page', { requestId: messageData.requestId });
-    return result;
+  logger.info('Capturing selected element', { tabId: tab.id });
+  showBadge('…', '#718096', 0);
 
+  try {
+    const report = await selectionCapture.run(tab.id);
+    showBadge(report.failures.length ? '!' : '✓', report.failures.length ? '#dd6b20' : '#38a169');
+    forwardToPopup({ type: 'selection_captured', tabId: tab.id, cid: report.cid, failures: report.failures });
   } catch (error) {
-    logger.error('get WFDL failed', {
-      error: error.message,
-      requestId: messageData.requestId
-    });
+    logger.error('Selection capture failed', { tabId: tab.id, error: error.message });
+    showBadge('!', '#e53e3e');
+  }
+}
 
-    return {
-      success: false,
-      error: error.message,
-      requestId: messageData.requestId,
-      timestamp: new Date().toISOString()
-    };
+/**
+ * Show a short status on the toolbar badge
+ * @param {string} text - The badge text
+ * @param {string} color - The badge background color
+ * @param {number} clearAfter - Milliseconds until the badge is cleared (0 keeps it)
+ */
+function showBadge(text, color, clearAfter = 4000) {
+  clearTimeout(badgeTimer);
+  chrome.action.setBadgeBackgroundColor({ color });
+  chrome.action.setBadgeText({ text });
+  if (clearAfter) {
+    badgeTimer = setTimeout(() => chrome.action.setBadgeText({ text: '' }), clearAfter);
   }
 }
 
@@ -12,10 +12,28 @@ const CONFIG = {
     devUrl: 'ws://localhost:8787/ws',
 
     // Connection settings
-    reconnectDelay: 2000,
-    heartbeatInterval: 30000,
+    heartbeatInterval: 20000, // Under 30s, so the traffic keeps the background service worker alive
     connectionTimeout: 5000,
-    maxReconnectAttempts: 3
+    requestTimeout: 10000, // How long request() waits for the server's reply
+
+    // Protocol versions this extension speaks; the server picks one during registration
+    protocol: {
+      version: 2,
+      minVersion: 1
+    },
+
+    // Reconnection after an unexpected close: exponential backoff with jitter
+    reconnect: {
+      initialDelay: 1000,
+      maxDelay: 60000,
+      multiplier: 2,
+      jitter: 0.2,      // Each delay moves randomly by up to ±20%
+      maxAttempts: null, // null retries forever; a number gives up after that many attempts
+      // chrome.storage.session key keeping the schedule across service worker restarts
+      storageKey: 'reconnectPolicy'
+    },
+    // Period (minutes) of the alarm that wakes the background and reconnects if the connection was lost
+    keepAlivePeriod: 0.5
   },
 
   // Webflow Designer URL patterns
@@ -42,6 +60,142 @@ const CONFIG = {
     defaultTestWfdl: 'this is a simple string test;'
   },
 
+  // Designer wf APIs; each operation lists candidate method names, most preferred first
+  designerApi: {
+    operations: {
+      export: ['exportTrainingData', 'extractTrainingData'],
+      validate: ['validateWFDL'],
+      selection: ['getSelectedElement', 'getSelection']
+    }
+  },
+
+  // Designer readiness (wf APIs loaded) settings
+  readiness: {
+    // Probe interval while waiting for wf to load (ms); it grows by pollBackoff after each miss,
+    // up to maxPollInterval, and probing stops after giveUpAfter (a request starts it again)
+    pollInterval: 500,
+    pollBackoff: 1.5,
+    maxPollInterval: 10000,
+    giveUpAfter: 300000,
+    // Probe interval once ready, to notice the Designer unloading (ms)
+    watchInterval: 5000,
+    // How long an incoming request waits for readiness before failing (ms)
+    requestTimeout: 15000
+  },
+
+  // Content script <-> page bridge settings
+  pageBridge: {
+    hostScript: 'utils/page-bridge-host.js',
+    // Resolves wf in the page; loaded before the host
+    apiScript: 'utils/designer-api.js',
+    requestEvent: 'wfdl-bridge:request',
+    responseEvent: 'wfdl-bridge:response',
+    // Default time to wait for a wf call (ms)
+    timeout: 10000,
+    // wf.exportTrainingData() walks the whole page and can be slow on large sites (ms)
+    exportTimeout: 60000
+  },
+
+  // Server messages waiting for the connection (chrome.storage.local)
+  outboundQueue: {
+    storageKey: 'outboundQueue',
+    maxEntries: 200,
+    // Failed flush attempts before the oldest message is dropped, so it can't hold up the rest
+    maxAttempts: 5
+  },
+
+  // Multi-tab export settings
+  multiTabExport: {
+    // Maximum Designer tabs exported at the same time
+    concurrency: 3
+  },
+
+  // Pair store (IndexedDB) settings
+  pairStore: {
+    dbName: 'wfdl-pairs',
+    dbVersion: 1,
+    storeName: 'pairs'
+  },
+
+  // Dataset export settings
+  dataset: {
+    schemaVersion: 5,
+    fileNamePrefix: 'wfdl-pairs'
+  },
+
+  // Component screenshot capture settings
+  capture: {
+    // Selectors used to find a component on the canvas; {cid} is replaced with the component id
+    componentSelectors: [
+      '[data-w-id="{cid}"]',
+      '[data-wf-id="{cid}"]',
+      '[data-node-id="{cid}"]',
+      '[data-cid="{cid}"]'
+    ],
+    settleDelay: 300,
+    minCaptureInterval: 600, // captureVisibleTab allows at most 2 calls per second
+    padding: 8,
+    format: 'png',
+    // Selectors for the selected canvas element, used when the Designer has no selection API
+    selectionSelectors: [
+      '[data-wf-selected="true"]',
+      '[data-selected="true"]',
+      '.wf-selected'
+    ]
+  },
+
+  // LLM summarizer providers (provider, model and base URL are selectable in the popup)
+  llm: {
+    defaultProvider: 'gemini',
+    providers: {
+      gemini: {
+        label: 'Gemini',
+        baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        model: 'gemini-1.5-flash',
+        requiresApiKey: true
+      },
+      openai: {
+        label: 'OpenAI-compatible',
+        baseUrl: 'https://api.openai.com/v1',
+        model: 'gpt-4o-mini',
+        requiresApiKey: false
+      },
+      ollama: {
+        label: 'Local (Ollama)',
+        baseUrl: 'http://localhost:11434',
+        model: 'llava',
+        requiresApiKey: false
+      }
+    }
+  },
+
+  // Prompt template settings
+  prompts: {
+    // Maximum characters of component WFDL inserted by the {{wfdlExcerpt}} placeholder
+    wfdlExcerptLength: 1500
+  },
+
+  // WFDL canonicalization (applied before pairs are stored or exported)
+  canonicalization: {
+    // Attributes whose values are always generated identifiers
+    idAttributes: ['id', 'cid', 'key', 'data-w-id', 'data-wf-id', 'data-node-id'],
+    // Attributes holding space-separated class names
+    classAttributes: ['class', 'className'],
+    // Class names that contain generated hashes
+    classHashPatterns: [
+      '^w-node-[0-9a-f_-]{6,}$',
+      '^[a-z][a-z0-9_-]*[-_][0-9a-f]{6,}$'
+    ],
+    // Any attribute value that is a UUID or long hex id is treated as volatile
+    volatileValuePattern: '^(?:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{16,})$'
+  },
+
+  // Duplicate detection settings
+  deduplication: {
+    // Minimum structural (Jaccard) similarity for two components to count as near-duplicates
+    similarityThreshold: 0.85
+  },
+
   // Logging configuration
   logging: {
     enabled: true,
@@ -66,5 +220,5 @@ const CONFIG = {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = CONFIG;
 } else {
-  window.CONFIG = CONFIG;
+  self.CONFIG = CONFIG; // self is window in pages and the global scope in the service worker
 }
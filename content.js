@@ -3,11 +3,17 @@
  * Handles WFDL validation requests on Webflow Designer pages
  */
 
+// Capability cache key; a content script only ever talks to its own page
+const CONTENT_PAGE_KEY = 'page';
+
 class WFDLContentScript {
   constructor() {
     this.initialized = false;
     this.logger = new Logger('ContentScript');
-    this.validationExecutor = new ValidationExecutor();
+    this.bridge = new PageBridge();
+    this.capabilities = new DesignerCapabilities((tabId, names) => this.bridge.inspect(names));
+    this.diagnostics = new WFDLDiagnostics();
+    this.readiness = new DesignerReadinessMonitor(() => this.capabilities.get(CONTENT_PAGE_KEY, { refresh: true }));
 
     this.init();
   }
@@ -34,6 +40,22 @@ class WFDLContentScript {
       return true; // Keep message channel open for async responses
     });
 
+    // Tell the popup/background when the Designer's wf APIs become usable, or go away
+    this.readiness.on('ready', capabilities => this.notifyReadiness('designer_ready', capabilities));
+    this.readiness.on('gone', () => this.notifyReadiness('designer_gone'));
+    window.addEventListener('pagehide', () => {
+      if (this.readiness.ready) {
+        this.notifyReadiness('designer_gone');
+      }
+      this.readiness.stop();
+    });
+    window.addEventListener('pageshow', (event) => {
+      if (event.persisted) {
+        this.readiness.start(); // Restored from the back/forward cache
+      }
+    });
+    this.readiness.start();
+
     this.initialized = true;
     this.logger.info('Content script initialized successfully');
   }
@@ -53,11 +75,8 @@ class WFDLContentScript {
           await this.handlePing(sendResponse);
           break;
 
-        case 'get_wfdl':
-          await this.handleGetWFDLRequest(message, sendResponse);
-          break;
-
         case 'test_validation':
+          await this.readiness.whenReady(message.readyTimeout);
           await this.handleTestValidation(message, sendResponse);
           break;
 
@@ -91,6 +110,24 @@ class WFDLContentScript {
     }
   }
 
+  /**
+   * Report a readiness change to the popup and background
+   * @param {string} type - 'designer_ready' or 'designer_gone'
+   * @param {object} capabilities - The capabilities (designer_ready only)
+   */
+  notifyReadiness(type, capabilities = null) {
+    chrome.runtime.sendMessage({
+      type: type,
+      url: window.location.href,
+      title: document.title,
+      capabilities: capabilities,
+      timestamp: new Date().toISOString()
+    }).catch(error => {
+      // Nobody listening (e.g. the service worker is restarting), which is fine
+      this.logger.debug('Could not send readiness update', { type, error: error.message });
+    });
+  }
+
   /**
    * Handle ping requests
    * @param {function} sendResponse - The response function
@@ -107,32 +144,6 @@ class WFDLContentScript {
     });
   }
 
-  /**
-   * Handle get WFDL requests
-   * @param {object} message - The validation message
-   * @param {function} sendResponse - The response function
-   */
-  async handleGetWFDLRequest(sendResponse) {
-    this.logger.info('Handling get WFDL request');
-
-    try {
-      const result = await this.executeGetWFDL(message.wfdl, message.requestId);
-      sendResponse(result);
-    } catch (error) {
-      this.logger.error('get WFDL failed', {
-        requestId: message.requestId,
-        error: error.message
-      });
-
-      sendResponse({
-        success: false,
-        error: error.message,
-        requestId: message.requestId,
-        timestamp: new Date().toISOString()
-      });
-    }
-  }
-
   /**
    * Handle test validation requests
    * @param {object} message - The test message
@@ -186,6 +197,8 @@ class WFDLContentScript {
     sendResponse({
       success: true,
       available: availability.available,
+      ready: this.readiness.ready,
+      capabilities: availability.capabilities,
       url: window.location.href,
       title: document.title,
       timestamp: new Date().toISOString()
@@ -193,25 +206,27 @@ class WFDLContentScript {
   }
 
   /**
-   * Execute WFDL validation
-   * @param {string} wfdlString - The WFDL string to validate
+   * Export the page's WFDL, or validate a WFDL string when one is given
+   * @param {string} wfdlString - Optional WFDL to validate with wf.validateWFDL
    * @param {string} requestId - The request ID
-   * @returns {Promise<object>} The validation result
+   * @returns {Promise<object>} The export or validation result
    */
   //was executeValidation
   async executeGetWFDL(wfdlString, requestId = null) {
-    this.logger.info('getting WFDL', { requestId });
+    this.logger.info(wfdlString ? 'validating WFDL' : 'getting WFDL', { requestId });
 
     try {
-      // Execute validation in page context
-      const result = await this.executeGetWFDLInPageContext(wfdlString); 
+      // Execute in page context
+      const result = wfdlString
+        ? await this.executeValidateWFDLInPageContext(wfdlString)
+        : await this.executeGetWFDLInPageContext();
 
       return {
         success: true,
         requestId: requestId,
         wfdl: wfdlString,
         validationResult: result,
-        source: 'wf.exportTrainingData',
+        source: wfdlString ? 'wf.validateWFDL' : 'wf.exportTrainingData',
         context: {
           url: window.location.href,
           title: document.title
@@ -230,61 +245,33 @@ class WFDLContentScript {
   }
 
   /**
-   * Execute validation in page context
+   * Export the page's training data in page context
+   * @returns {Promise<*>} The wf.exportTrainingData() result
+   */
+  async executeGetWFDLInPageContext() {
+    const method = await this.capabilities.resolve(CONTENT_PAGE_KEY, 'export');
+    return this.bridge.call(method, [], { timeout: CONFIG.pageBridge.exportTimeout });
+  }
+
+  /**
+   * Validate WFDL in page context
    * @param {string} wfdlString - The WFDL string to validate
-   * @returns {Promise<*>} The validation result
+   * @returns {Promise<object>} The validation result ({ valid, diagnostics, validatedAt, source })
    */
-  async executeGetWFDLInPageContext(wfdlString) {
-    return new Promise((resolve, reject) => {
-      const script = document.createElement('script');
-      const resultId = `wfdl_result_${Date.now()}`;
-
-      script.textContent = `
-        (function() {
-          try {
-            console.log('WFDL Extension: Executing get WFDL in page context');
-
-            if (typeof wf === 'undefined' || typeof wf.exportTrainingData !== 'function') {
-              window.${resultId} = {
-                success: false,
-                error: 'wf.exportTrainingData not available in page context'
-              };
-              return;
-            }
-
-            const result = wf.exportTrainingData();
-            window.${resultId} = { success: true, data: result };
-
-          } catch (error) {
-            window.${resultId} = {
-              success: false,
-              error: error.message
-            };
-          }
-        })();
-      `;
-
-      // Inject and execute the script
-      document.head.appendChild(script);
-      document.head.removeChild(script);
-
-      // Get the result
-      setTimeout(() => {
-        const result = window[resultId];
-        delete window[resultId];
-
-        if (!result) {
-          reject(new Error('No get WFDL result received'));
-          return;
-        }
-
-        if (result.success) {
-          resolve(result.data);
-        } else {
-          reject(new Error(result.error));
-        }
-      }, 100);
-    });
+  async executeValidateWFDLInPageContext(wfdlString) {
+    let validation;
+    try {
+      const method = await this.capabilities.resolve(CONTENT_PAGE_KEY, 'validate');
+      validation = this.diagnostics.normalize(await this.bridge.call(method, [wfdlString]));
+    } catch (error) {
+      if (error.code !== 'page_error') {
+        throw error;
+      }
+      // The validator threw on the input: report it as a diagnostic
+      validation = { valid: false, diagnostics: this.diagnostics.normalize(error.message).diagnostics };
+    }
+
+    return { ...validation, validatedAt: new Date().toISOString(), source: 'wf.validateWFDL' };
   }
 
   /**
@@ -292,36 +279,19 @@ class WFDLContentScript {
    * @returns {Promise<object>} Availability information
    */
   async checkGetWFDLAvailability() {
-    return new Promise((resolve) => {
-      const script = document.createElement('script');
-      const resultId = `wfdl_check_${Date.now()}`;
-
-      script.textContent = `
-        (function() {
-          try {
-            window.${resultId} = {
-              available: typeof wf !== 'undefined' && typeof wf.exportTrainingData === 'function',
-              wfType: typeof wf,
-              validateType: typeof wf?.exportTrainingData
-            };
-          } catch (error) {
-            window.${resultId} = {
-              available: false,
-              error: error.message
-            };
-          }
-        })();
-      `;
-
-      document.head.appendChild(script);
-      document.head.removeChild(script);
-
-      setTimeout(() => {
-        const result = window[resultId];
-        delete window[resultId];
-        resolve(result || { available: false, error: 'No availability result' });
-      }, 100);
-    });
+    try {
+      const capabilities = await this.capabilities.get(CONTENT_PAGE_KEY);
+      return {
+        available: capabilities.operations.export !== null,
+        wfType: capabilities.wfType,
+        capabilities: capabilities
+      };
+    } catch (error) {
+      return {
+        available: false,
+        error: error.message
+      };
+    }
   }
 
   /**
@@ -335,7 +305,8 @@ class WFDLContentScript {
       url: window.location.href,
       title: document.title,
       readyState: document.readyState,
-      validation: availability
+      validation: availability,
+      capabilities: availability.capabilities || null
     };
   }
 }
@@ -7,12 +7,51 @@
 class WFDLValidatorPopup {
   constructor() {
     this.logger = new Logger('Popup');
-    this.wsManager = new WebSocketManager();
+    this.pairStore = new PairStore();
+    this.datasetSerializer = new DatasetSerializer();
+    this.pairMerger = new PairMerger(this.pairStore);
+    this.screenshotCapturer = new ScreenshotCapturer();
+    this.llmService = new LLMService();
+    this.promptLibrary = new PromptLibrary({ defaultPrompt: DEFAULT_SUMMARY_PROMPT });
+    this.wfdlParser = new WFDLParser();
+    this.deduplicator = new PairDeduplicator();
+    this.validationExecutor = new ValidationExecutor();
+    this.tabRegistry = new DesignerTabRegistry();
+    this.selectionCapture = new SelectionCapture({
+      exportComponents: (tabId) => this.exportPageComponents(tabId),
+      capabilities: this.validationExecutor.capabilities,
+      capturer: this.screenshotCapturer,
+      pairStore: this.pairStore,
+      summarize: (screenshot, component) => this.summarizeComponent(screenshot, component)
+    });
+    this.multiTabExporter = new MultiTabExporter({
+      registry: this.tabRegistry,
+      exportTab: (tabId) => this.exportPageComponents(tabId)
+    });
+    this.pipeline = new PairGenerationPipeline({
+      exportComponents: (tabId) => this.exportPageComponents(tabId),
+      capturer: this.screenshotCapturer,
+      summarize: (screenshot, component) => this.summarizeComponent(screenshot, component),
+      validateComponents: (tabId, components) => this.validateExportedComponents(tabId, components),
+      pairStore: this.pairStore
+    });
     this.extensionId = chrome.runtime.id;
 
-    // Statistics
+    // Most recent component export ({ tabId, url, title, components })
+    this.lastExport = null;
+
+    // Statistics (this popup's own actions; server requests are counted by the background)
     this.requestCount = 0;
     this.successCount = 0;
+    this.serverStats = { requests: 0, successes: 0 };
+
+    // Port to the background, which holds the server connection
+    this.port = null;
+    this.connectionStatus = 'Disconnected';
+
+    // Reconnect policy state from the background, and the countdown timer showing it
+    this.reconnectState = null;
+    this.reconnectTimer = null;
 
     this.init();
   }
@@ -29,14 +68,11 @@ class WFDLValidatorPopup {
     // Setup event listeners
     this.setupEventListeners();
 
-    // Setup WebSocket event handlers
-    this.setupWebSocketHandlers();
-
     // Setup UI logging
     this.setupUILogging();
 
-    // Try to auto-connect
-    setTimeout(() => this.connect(), 1000);
+    // Show the background's server connection, stats and log
+    this.attachToBackground();
   }
 
   /**
@@ -44,11 +80,16 @@ class WFDLValidatorPopup {
    */
   initializeUI() {
     document.getElementById('extensionId').textContent = `Extension ID: ${this.extensionId}`;
-    // document.getElementById('testWfdl').value = CONFIG.extension.defaultTestWfdl;
+    document.getElementById('testWfdl').value = CONFIG.extension.defaultTestWfdl;
 
     this.updateConnectionStatus();
     this.updateStats();
     this.updateEnvironmentIndicator();
+    this.renderStoredPairs();
+    this.renderReviewQueue();
+    this.renderDesignerTabs();
+    this.loadLLMSettings();
+    this.renderPromptTemplates();
   }
 
   /**
@@ -57,352 +98,1410 @@ class WFDLValidatorPopup {
   setupEventListeners() {
     document.getElementById('connectBtn').addEventListener('click', () => this.connect());
     document.getElementById('disconnectBtn').addEventListener('click', () => this.disconnect());
+    document.getElementById('retryNowBtn').addEventListener('click', () => this.retryNow());
     document.getElementById('testBtn').addEventListener('click', () => this.testValidation());
+    document.getElementById('validateWfdlBtn').addEventListener('click', () => this.validateTestWfdl());
+    document.getElementById('refreshTabsBtn').addEventListener('click', () => this.renderDesignerTabs());
+    document.getElementById('exportAllTabsBtn').addEventListener('click', () => this.exportAllTabs());
+
+    // Keep the Designer tab list current
+    const refreshTabs = () => {
+      clearTimeout(this.tabRefreshTimer);
+      this.tabRefreshTimer = setTimeout(() => this.renderDesignerTabs(), 300);
+    };
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+      if (changeInfo.url || changeInfo.title || changeInfo.status) refreshTabs();
+    });
+    chrome.tabs.onRemoved.addListener(refreshTabs);
+    chrome.tabs.onActivated.addListener(refreshTabs);
+    document.getElementById('generateSummaryBtn').addEventListener('click', () => this.generateSummary());
+    document.getElementById('llmProvider').addEventListener('change', (event) => this.showProviderSettings(event.target.value));
+    document.getElementById('saveLlmSettings').addEventListener('click', () => this.saveLLMSettings());
+    document.getElementById('promptSelect').addEventListener('change', (event) => this.selectPromptTemplate(event.target.value));
+    document.getElementById('promptVersionSelect').addEventListener('change', (event) => this.showPromptVersion(event.target.value));
+    document.getElementById('savePromptBtn').addEventListener('click', () => this.savePromptTemplate());
+    document.getElementById('newPromptBtn').addEventListener('click', () => this.createPromptTemplate());
+    document.getElementById('deletePromptBtn').addEventListener('click', () => this.deletePromptTemplate());
+    document.getElementById('captureBtn').addEventListener('click', () => this.captureScreenshots());
+    document.getElementById('pipelineBtn').addEventListener('click', () => this.generatePairsForPage());
+    document.getElementById('captureSelectionBtn').addEventListener('click', () => this.captureSelection());
+
+    // The capture-selection shortcut saves pairs from the background
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.type === 'selection_captured') {
+        this.renderStoredPairs();
+      }
+    });
+    document.getElementById('clearPairsBtn').addEventListener('click', () => this.clearStoredPairs());
+    document.getElementById('exportJsonlBtn').addEventListener('click', () => this.exportDataset());
+    document.getElementById('reviewFilter').addEventListener('change', () => this.renderReviewQueue());
+    document.getElementById('findDuplicatesBtn').addEventListener('click', () => this.findDuplicates());
+    document.getElementById('importJsonlBtn').addEventListener('click', () => document.getElementById('importJsonlInput').click());
+    document.getElementById('importJsonlInput').addEventListener('change', (event) => this.importDataset(event.target));
   }
 
   /**
-   * Setup WebSocket event handlers
+   * Setup UI logging integration
    */
-  setupWebSocketHandlers() {
-    this.wsManager.on('open', () => {
-      this.logger.info('WebSocket connection opened');
-      this.updateConnectionStatus('Connected');
+  setupUILogging() {
+    window.logToUI = (message, level, data) => {
+      this.addLogEntry(message, level);
+    };
+  }
+
+  /**
+   * Attach to the background's server connection: the background sends its current state,
+   * then status, stats and log updates for as long as the popup is open
+   */
+  attachToBackground() {
+    this.port = chrome.runtime.connect({ name: 'popup' });
+
+    this.port.onMessage.addListener((message) => {
+      switch (message.type) {
+        case 'state':
+          this.updateConnectionStatus(message.status);
+          this.serverStats = message.stats;
+          this.updateStats();
+          this.renderOutboundQueue(message.queue);
+          this.renderReconnectState(message.reconnect);
+          message.log.forEach(entry => this.addLogEntry(entry.message, entry.level, entry.timestamp));
+          break;
+
+        case 'status':
+          this.updateConnectionStatus(message.status);
+          break;
+
+        case 'stats':
+          this.serverStats = message.stats;
+          this.updateStats();
+          break;
+
+        case 'queue':
+          this.renderOutboundQueue(message.queue);
+          break;
+
+        case 'reconnect':
+          this.renderReconnectState(message.reconnect);
+          break;
+
+        case 'log':
+          this.addLogEntry(message.entry.message, message.entry.level, message.entry.timestamp);
+          break;
+
+        case 'validated':
+          // A server request validated a WFDL payload
+          this.displayDiagnostics(message.wfdl, message.validation);
+          break;
+      }
     });
 
-    this.wsManager.on('close', () => {
-      this.logger.info('WebSocket connection closed');
+    this.port.onDisconnect.addListener(() => {
+      this.port = null;
       this.updateConnectionStatus('Disconnected');
+      this.renderReconnectState(null);
     });
+  }
 
-    this.wsManager.on('error', (error) => {
-      this.logger.error('WebSocket error', { error });
-      this.updateConnectionStatus('Error');
-    });
+  /**
+   * Show when the background will next try to reconnect, counting down to the attempt
+   * @param {object|null} state - The reconnect policy state ({ attempt, maxAttempts, nextAttemptAt, paused, exhausted })
+   */
+  renderReconnectState(state) {
+    this.reconnectState = state;
+    clearInterval(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    const panel = document.getElementById('reconnectPanel');
+    const statusElement = document.getElementById('reconnectStatus');
+    const waiting = state && (state.nextAttemptAt || state.paused || state.exhausted);
+
+    if (!waiting || this.connectionStatus === 'Connected') {
+      panel.style.display = 'none';
+      return;
+    }
+
+    panel.style.display = 'block';
+    document.getElementById('retryNowBtn').disabled = this.connectionStatus === 'Connecting...';
+
+    if (state.exhausted) {
+      statusElement.textContent = `Gave up reconnecting after ${state.attempt} attempts`;
+    } else if (state.paused) {
+      statusElement.textContent = 'Offline, reconnecting when the network is back';
+    } else {
+      const attempts = state.maxAttempts === null ? `attempt ${state.attempt}` : `attempt ${state.attempt} of ${state.maxAttempts}`;
+      const showCountdown = () => {
+        const seconds = Math.max(0, Math.ceil((state.nextAttemptAt - Date.now()) / 1000));
+        statusElement.textContent = `Reconnecting in ${seconds}s (${attempts})`;
+      };
+      showCountdown();
+      this.reconnectTimer = setInterval(showCountdown, 1000);
+    }
+  }
+
+  /**
+   * Reconnect now instead of waiting for the next attempt
+   */
+  retryNow() {
+    this.port?.postMessage({ type: 'retry_now' });
+  }
+
+  /**
+   * Render the messages waiting in the background's outbound queue
+   * @param {Array<object>} queue - Entries ({ requestId, type, queuedAt }), oldest first
+   */
+  renderOutboundQueue(queue) {
+    const container = document.getElementById('outboundQueueList');
+    document.getElementById('outboundQueueCount').textContent = queue.length;
+
+    container.innerHTML = '';
+    if (queue.length === 0) {
+      container.textContent = 'Nothing waiting to be sent.';
+      return;
+    }
 
-    this.wsManager.on('message', (message) => {
-      this.handleWebSocketMessage(message);
+    queue.forEach(item => {
+      const entry = document.createElement('div');
+      entry.className = 'pair-meta';
+      entry.textContent = `${item.type} \u00b7 ${item.requestId || '(no request id)'} \u00b7 queued ${new Date(item.queuedAt).toLocaleTimeString()}`;
+      container.appendChild(entry);
     });
   }
 
   /**
-   * Setup UI logging integration
+   * Connect to WebSocket (the connection lives in the background)
    */
-  setupUILogging() {
-    window.logToUI = (message, level, data) => {
-      this.addLogEntry(message, level);
-    };
+  connect() {
+    this.port?.postMessage({ type: 'connect' });
   }
 
   /**
-   * Connect to WebSocket
+   * Disconnect from WebSocket
    */
-  async connect() {
-    this.logger.info('Connecting to WebSocket...');
-    this.updateConnectionStatus('Connecting...');
+  disconnect() {
+    this.port?.postMessage({ type: 'disconnect' });
+  }
+
+  /**
+   * Export one Designer tab's components
+   * @param {number} tabId - The Designer tab ID
+   * @returns {Promise<object>} { context, components }
+   */
+  async exportPageComponents(tabId) {
+    const result = await this.validationExecutor.exportPage(tabId);
+    return { context: result.context, components: result.validationResult.components || {} };
+  }
+
+  /**
+   * Export every loaded Designer tab from the popup and store the components
+   */
+  async exportAllTabs() {
+    const button = document.getElementById('exportAllTabsBtn');
+    const reportElement = document.getElementById('multiExportReport');
+    button.disabled = true;
+    reportElement.textContent = 'Exporting...';
+
+    this.requestCount++;
+    this.updateStats();
 
     try {
-      const connected = await this.wsManager.connect();
-      if (connected) {
-        this.logger.info('Successfully connected to WebSocket');
-      } else {
-        this.logger.error('Failed to connect to WebSocket');
-        this.updateConnectionStatus('Failed');
+      const report = await this.multiTabExporter.run({
+        onProgress: async ({ tab, done, total }) => {
+          reportElement.textContent = `Exported ${done}/${total} tabs...`;
+          try {
+            for (const [cid, wfdl] of Object.entries(tab.components)) {
+              await this.pairStore.upsert({ cid, wfdl, sourceUrl: tab.url });
+            }
+          } catch (error) {
+            this.logger.error('Failed to store components', { tabId: tab.tabId, error: error.message });
+          }
+        }
+      });
+
+      const lines = [`${report.total} components from ${report.succeeded}/${report.tabs.length} tabs`];
+      report.tabs.forEach(tab => {
+        const label = `${tab.siteSlug || tab.url}/${tab.pageId || 'default'}`;
+        lines.push(tab.success ? `\u2713 ${label}: ${tab.count} components` : `\u2717 ${label}: ${tab.error}`);
+      });
+      reportElement.textContent = lines.join('\n');
+
+      if (report.failed === 0) {
+        this.successCount++;
+        this.updateStats();
       }
     } catch (error) {
-      this.logger.error('Connection error', { error: error.message });
-      this.updateConnectionStatus('Error');
+      reportElement.textContent = '';
+      this.logger.error(`Multi-tab export failed: ${error.message}`);
+    } finally {
+      button.disabled = false;
     }
+
+    await this.renderStoredPairs();
   }
 
   /**
-   * Disconnect from WebSocket
+   * Find a suitable Designer tab for validation
+   * @param {object} target - Optional { tabId, siteSlug, pageId } to pick a specific tab
+   * @returns {Promise<number>} The tab ID
    */
-  disconnect() {
-    this.logger.info('Disconnecting from WebSocket...');
-    this.wsManager.disconnect();
-    this.updateConnectionStatus('Disconnected');
+  async findDesignerTab(target = null) {
+    const designer = await this.tabRegistry.select(target);
+    return designer.tabId;
   }
 
   /**
-   * Handle WebSocket messages
-   * @param {object} message - The WebSocket message
+   * Render the Designer tab list with pin buttons
    */
-  handleWebSocketMessage(message) {
-    this.logger.debug('Received WebSocket message', { type: message.type });
+  async renderDesignerTabs() {
+    const container = document.getElementById('designerTabList');
+    let designers;
+    try {
+      designers = await this.tabRegistry.list();
+    } catch (error) {
+      this.logger.error('Failed to list Designer tabs', { error: error.message });
+      return;
+    }
+
+    container.innerHTML = '';
+    if (designers.length === 0) {
+      container.textContent = 'No Designer tabs open.';
+      return;
+    }
 
-    switch (message.type) {
-      case 'wfdl_validation_request':
-        this.handleValidationRequest(message);
-        break;
+    designers.forEach(designer => {
+      const entry = document.createElement('div');
+      entry.className = `designer-tab${designer.pinned ? ' pinned' : ''}`;
+
+      const info = document.createElement('div');
+      info.className = 'designer-tab-info';
+
+      const title = document.createElement('div');
+      title.className = 'pair-header';
+      title.textContent = `${designer.pinned ? '\ud83d\udccc ' : ''}${designer.title || designer.url}`;
+      info.appendChild(title);
+
+      const meta = document.createElement('div');
+      meta.className = 'pair-meta';
+      meta.textContent = [
+        `site: ${designer.siteSlug || '?'}`,
+        `page: ${designer.pageId || '(default)'}`,
+        designer.active ? 'active' : null,
+        designer.status !== 'complete' ? designer.status : null
+      ].filter(Boolean).join(' \u00b7 ');
+      info.appendChild(meta);
+      entry.appendChild(info);
+
+      const button = document.createElement('button');
+      button.className = 'btn-small neutral';
+      button.textContent = designer.pinned ? 'Unpin' : 'Pin';
+      button.addEventListener('click', async () => {
+        if (designer.pinned) {
+          await this.tabRegistry.unpin();
+        } else {
+          await this.tabRegistry.pin(designer.tabId);
+        }
+        await this.renderDesignerTabs();
+      });
+      entry.appendChild(button);
 
-      case 'registered':
-        this.logger.info('Successfully registered with server');
-        break;
+      container.appendChild(entry);
+    });
+  }
 
-      case 'heartbeat_ack':
-        this.logger.debug('Heartbeat acknowledged');
-        break;
+  /**
+   * Get WFDL (directly connects to Chrome Extension)
+   */
+  // this prints stuff in the activity logger
+  async testValidation() {
+    // const wfdlString = document.getElementById('testWfdl').value.trim();
+
+    this.logger.info('Starting test validation...');
+    this.requestCount++;
+    this.updateStats();
+
+        try {
+      const tabId = await this.findDesignerTab();
+      const result = await this.validationExecutor.exportPage(tabId);
+
+      this.logger.info('Test validation successful!');
+      this.logger.info(`Exported ${Object.keys(result.validationResult?.components || {}).length} components from ${result.context.title || result.context.url}`);
 
-      case 'ack':
-        this.logger.info('Validation result acknowledged');
-        break;
+      this.successCount++;
+      this.updateStats();
 
-      case 'error':
-        this.logger.error('Server error', { message: message.message });
-        break;
+      // this.logger.info(`components: ${JSON.stringify(result.validationResult.components, null, 2)}` )
+      const components = result.validationResult.components || {};
+      const validations = await this.validateExportedComponents(tabId, components).catch(error => {
+        this.logger.error(`Component validation failed: ${error.message}`);
+        return null;
+      });
+      await this.storeExportedComponents(result.context, components, validations);
+      await this.displayComponents(components);
 
-      default:
-        this.logger.warn('Unknown message type', { type: message.type });
+    } catch (error) {
+      this.logger.error(`Test validation failed: ${error.message}`);
     }
   }
 
   /**
-   * Handle validation requests from WebSocket
-   * @param {object} message - The validation request message
+   * Validate the WFDL in the "Validate WFDL" box with wf.validateWFDL on the Designer tab
    */
-  async handleValidationRequest(message) {
-    this.logger.info('Processing validation request', { requestId: message.requestId });
+  async validateTestWfdl() {
+    const wfdl = document.getElementById('testWfdl').value;
+    if (!wfdl.trim()) {
+      this.logger.warn('Enter WFDL to validate');
+      return;
+    }
 
     this.requestCount++;
     this.updateStats();
 
     try {
-      const wfdl = message.payload || message.wfdl || message.data || message.content;
-      const requestId = message.requestId || message.id;
-
-            // Find a suitable Designer tab
       const tabId = await this.findDesignerTab();
+      const result = await this.validationExecutor.validateWFDL(tabId, wfdl);
 
-      // Execute validation using chrome.scripting
-      const result = await this.executeDesignerValidation(tabId, requestId);
-
-      this.logger.info('Validation completed successfully', { requestId });
       this.successCount++;
       this.updateStats();
+      this.displayDiagnostics(wfdl, result.validationResult);
+    } catch (error) {
+      this.logger.error(`WFDL validation failed: ${error.message}`);
+      this.displayDiagnostics(wfdl, null);
+    }
+  }
 
-      // Send result back to server
-      this.sendValidationResult(requestId, result);
+  /**
+   * Show a validation result as a diagnostics list below the WFDL it refers to.
+   * Clicking a diagnostic with a position selects that range in the WFDL box.
+   * @param {string} wfdl - The validated WFDL (shown in the WFDL box)
+   * @param {object|null} validation - The validation result ({ valid, diagnostics }), or null to clear
+   */
+  displayDiagnostics(wfdl, validation) {
+    const textarea = document.getElementById('testWfdl');
+    const summary = document.getElementById('validationSummary');
+    const list = document.getElementById('diagnosticList');
 
+    textarea.value = wfdl;
+    list.innerHTML = '';
+
+    if (!validation) {
+      summary.textContent = '';
+      return;
+    }
+
+    const counts = ['error', 'warning', 'info']
+      .map(severity => [severity, validation.diagnostics.filter(diagnostic => diagnostic.severity === severity).length])
+      .filter(([, count]) => count)
+      .map(([severity, count]) => `${count} ${severity}${count === 1 ? '' : 's'}`);
+    summary.textContent = `${validation.valid ? '\u2713 Valid' : '\u2717 Invalid'}${counts.length ? ` \u2014 ${counts.join(', ')}` : ''}`;
+
+    validation.diagnostics.forEach(diagnostic => {
+      const entry = document.createElement('div');
+      entry.className = 'diagnostic-entry';
+
+      const severity = document.createElement('span');
+      severity.className = `diagnostic-severity ${diagnostic.severity}`;
+      severity.textContent = diagnostic.severity;
+      entry.appendChild(severity);
+
+      const position = document.createElement('span');
+      position.className = 'diagnostic-position';
+      position.textContent = diagnostic.line !== null ? `${diagnostic.line}:${diagnostic.column ?? 1}` : '\u2014';
+      entry.appendChild(position);
+
+      const message = document.createElement('span');
+      message.textContent = diagnostic.code ? `${diagnostic.message} (${diagnostic.code})` : diagnostic.message;
+      entry.appendChild(message);
+
+      if (diagnostic.line !== null) {
+        entry.addEventListener('click', () => this.highlightDiagnostic(diagnostic));
+      } else {
+        entry.classList.add('no-position');
+      }
+
+      list.appendChild(entry);
+    });
+
+    this.logger.info(`Validation ${validation.valid ? 'passed' : 'failed'}`, { diagnostics: validation.diagnostics.length });
+  }
+
+  /**
+   * Select a diagnostic's range in the WFDL box and scroll it into view
+   * @param {object} diagnostic - The diagnostic
+   */
+  highlightDiagnostic(diagnostic) {
+    const textarea = document.getElementById('testWfdl');
+    const range = this.validationExecutor.diagnostics.range(textarea.value, diagnostic);
+    if (!range) {
+      return;
+    }
+
+    textarea.focus();
+    textarea.setSelectionRange(range.start, range.end);
+
+    const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 16;
+    textarea.scrollTop = Math.max(0, (diagnostic.line - 3) * lineHeight);
+  }
+
+  /**
+   * Show exported components in the review queue
+   * @param {object} components - Map of component cid to WFDL
+   */
+  async displayComponents(components) {
+    this.reviewComponents = components;
+    await this.renderReviewQueue();
+  }
+
+  /**
+   * Render the review queue: each component's WFDL next to its screenshot and editable summary.
+   * Shows the last export's components, or every stored pair when nothing was exported yet.
+   */
+  async renderReviewQueue() {
+    const container = document.getElementById('componentList');
+    if (!container) {
+      this.logger.warn('Component list container not found');
+      return;
+    }
+
+    const filter = document.getElementById('reviewFilter').value;
+
+    let pairs;
+    try {
+      pairs = await this.pairStore.getAll();
     } catch (error) {
-      this.logger.error('Validation request failed', {
-        requestId: message.requestId,
-        error: error.message
-      });
+      this.logger.error('Failed to load review queue', { error: error.message });
+      return;
+    }
 
-      // Send error result back to server
-      this.sendValidationResult(message.requestId, {
-        success: false,
-        error: error.message,
-        requestId: message.requestId
-      });
+    let entries;
+    if (this.reviewComponents && this.lastExport) {
+      const pairsByCid = new Map(pairs
+        .filter(pair => pair.sourceUrl === this.lastExport.url)
+        .map(pair => [pair.cid, pair]));
+      entries = Object.entries(this.reviewComponents).map(([cid, wfdl]) =>
+        pairsByCid.get(cid) || { cid, wfdl, sourceUrl: this.lastExport.url }
+      );
+    } else {
+      entries = pairs;
+    }
+
+    const total = entries.length;
+    if (filter !== 'all') {
+      entries = entries.filter(pair => (pair.reviewStatus || 'pending') === filter);
+    }
+
+    container.innerHTML = ''; // Clear previous entries
+
+    if (entries.length === 0) {
+      container.textContent = total ? `No ${filter} components.` : 'No components returned.';
+      return;
     }
+
+    entries.forEach((pair, index) => {
+      container.appendChild(this.createReviewCard(pair, index));
+    });
   }
 
   /**
-   * Execute validation on a Designer tab using chrome.scripting
-   * @param {number} tabId - The tab ID to execute validation on
-   * @param {string} requestId - The request ID for tracking
-   * @returns {Promise<object>} The validation result
+   * Build the review card for one component
+   * @param {object} pair - The stored pair (or unsaved component data)
+   * @param {number} index - The position in the queue
+   * @returns {HTMLElement} The card element
    */
-  async executeDesignerValidation(tabId, requestId = null) {
-    this.logger.info('Executing Designer validation via chrome.scripting', { tabId, requestId });
+  createReviewCard(pair, index) {
+    const status = pair.reviewStatus || 'pending';
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'review-card';
+
+    const header = document.createElement('div');
+    header.className = 'pair-header';
+    header.textContent = `Component ${index + 1} \u2014 cid: ${pair.cid}`;
+
+    const badge = document.createElement('span');
+    badge.className = `review-status ${status}`;
+    badge.textContent = status;
+    header.appendChild(badge);
+    wrapper.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'review-body';
+
+    const codeBlock = document.createElement('pre');
+    codeBlock.className = 'review-wfdl';
+    codeBlock.textContent = pair.wfdl;
+    body.appendChild(codeBlock);
+
+    const { error: parseError } = this.wfdlParser.tryParse(pair.wfdl || '');
+    if (parseError) {
+      const warning = document.createElement('div');
+      warning.className = 'pair-meta';
+      warning.textContent = `\u26a0 WFDL parse error: ${parseError.message}`;
+      wrapper.appendChild(warning);
+    }
+
+    if (pair.validation && !pair.validation.valid) {
+      const warning = document.createElement('div');
+      warning.className = 'pair-meta';
+      const details = pair.validation.diagnostics
+        .map(diagnostic => (diagnostic.line ? `${diagnostic.message} (line ${diagnostic.line}, column ${diagnostic.column})` : diagnostic.message))
+        .join('; ');
+      warning.textContent = `\u26a0 Failed wf.validateWFDL${details ? `: ${details}` : ''}`;
+      wrapper.appendChild(warning);
+    }
+
+    const side = document.createElement('div');
+    side.className = 'review-side';
 
+    if (pair.screenshot) {
+      const image = document.createElement('img');
+      image.src = pair.screenshot;
+      image.className = 'component-screenshot';
+      side.appendChild(image);
+    }
+
+    const summary = document.createElement('textarea');
+    summary.className = 'review-summary';
+    summary.placeholder = 'No summary yet';
+    summary.value = pair.summary || '';
+    side.appendChild(summary);
+
+    body.appendChild(side);
+    wrapper.appendChild(body);
+
+    const notes = document.createElement('input');
+    notes.type = 'text';
+    notes.className = 'review-notes';
+    notes.placeholder = 'Reviewer notes';
+    notes.value = pair.reviewNotes || '';
+    wrapper.appendChild(notes);
+
+    const actions = document.createElement('div');
+    actions.className = 'controls';
+    actions.style.marginBottom = '0';
+
+    [['Accept', 'accepted', 'btn-primary'], ['Reject', 'rejected', 'btn-secondary'], ['Save Edit', null, 'btn-primary']].forEach(([text, newStatus, className]) => {
+      const button = document.createElement('button');
+      button.className = className;
+      button.textContent = text;
+      button.disabled = !pair.id;
+      button.addEventListener('click', () => this.reviewPair(pair.id, {
+        summary: summary.value.trim(),
+        reviewNotes: notes.value.trim(),
+        reviewStatus: newStatus || status
+      }));
+      actions.appendChild(button);
+    });
+
+    wrapper.appendChild(actions);
+    return wrapper;
+  }
+
+  /**
+   * Save a review decision on a pair
+   * @param {string} id - The pair id
+   * @param {object} review - The reviewed fields ({ summary, reviewNotes, reviewStatus })
+   */
+  async reviewPair(id, review) {
     try {
-      // Verify the tab is still available and loaded
-      const tab = await chrome.tabs.get(tabId);
-      if (!tab) {
-        throw new Error('Designer tab no longer exists');
-      }
+      await this.pairStore.update(id, { ...review, reviewedAt: new Date().toISOString() });
+      this.logger.info('Saved review', { id, status: review.reviewStatus });
+    } catch (error) {
+      this.logger.error('Failed to save review', { id, error: error.message });
+    }
 
-      if (tab.status !== 'complete') {
-        throw new Error(`Designer tab is not fully loaded (status: ${tab.status})`);
-      }
+    await this.renderReviewQueue();
+    await this.renderStoredPairs();
+  }
 
-      if (tab.discarded) {
-        throw new Error('Designer tab has been discarded - please refresh the page');
-      }
+  /**
+   * Round-trip exported components through wf.validateWFDL when validation mode is on
+   * @param {number} tabId - The Designer tab ID
+   * @param {object} components - Map of component cid to WFDL
+   * @returns {Promise<object|null>} Map of cid to validation result, or null when validation mode is off
+   */
+  async validateExportedComponents(tabId, components) {
+    if (!document.getElementById('validateComponents').checked || Object.keys(components).length === 0) {
+      return null;
+    }
+
+    const validations = await this.validationExecutor.validateComponents(tabId, components);
+    const invalid = Object.entries(validations).filter(([, validation]) => !validation.valid);
 
-      // Execute validation using the standalone getWFDL function
-      const results = await chrome.scripting.executeScript({
-        target: { tabId: tabId },
-        func: getWFDL,
-        world: 'MAIN' // Execute in the page's main world context (bypasses CSP)
+    if (invalid.length) {
+      this.logger.warn(`${invalid.length} of ${Object.keys(validations).length} components failed validation`, {
+        cids: invalid.map(([cid]) => cid)
       });
+    } else {
+      this.logger.info('All exported components passed validation');
+    }
 
-      const result = results[0]?.result;
+    return validations;
+  }
 
-      if (!result) {
-        throw new Error('No result from script execution');
-      }
+  /**
+   * Save exported components to the pair store, keeping any existing summaries
+   * @param {object} context - The export context ({ tabId, url, title })
+   * @param {object} components - Map of component cid to WFDL
+   * @param {object|null} validations - Optional map of cid to validation result
+   */
+  async storeExportedComponents(context, components, validations = null) {
+    this.lastExport = { tabId: context.tabId, url: context.url, title: context.title, components };
+    this.updateSummaryTargets(components);
 
-      if (!result.success) {
-        throw new Error(result.error || 'Validation execution failed');
+    try {
+      for (const [cid, wfdl] of Object.entries(components)) {
+        const pair = { cid, wfdl, sourceUrl: context.url };
+        if (validations?.[cid]) {
+          pair.validation = validations[cid];
+        }
+        await this.pairStore.upsert(pair);
       }
+      this.logger.info(`Stored ${Object.keys(components).length} components in pair store`);
+    } catch (error) {
+      this.logger.error('Failed to store components', { error: error.message });
+    }
 
-      // Convert the script result to match the expected format
-      const formattedResult = {
-        success: true,
-        requestId: requestId,
-        validationResult: result.data, // The actual validation result
-        source: 'wf.exportTrainingData',
-        context: {
-          url: tab.url,
-          title: tab.title,
-          tabId: tab.id
-        },
-        timestamp: new Date().toISOString()
-      };
+    await this.renderStoredPairs();
+  }
+
+  /**
+   * Populate the summary target dropdown with the exported component ids
+   * @param {object} components - Map of component cid to WFDL
+   */
+  updateSummaryTargets(components) {
+    const select = document.getElementById('summaryTarget');
+    select.innerHTML = '';
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = Object.keys(components).length ? 'Select a component...' : 'Run "Get WFDL" first';
+    select.appendChild(placeholder);
+
+    Object.keys(components).forEach(cid => {
+      const option = document.createElement('option');
+      option.value = cid;
+      option.textContent = cid;
+      select.appendChild(option);
+    });
+  }
 
-      this.logger.info('Designer validation completed successfully', { requestId });
-      return formattedResult;
+  /**
+   * Load LLM settings into the summarizer form
+   */
+  async loadLLMSettings() {
+    const select = document.getElementById('llmProvider');
+    select.innerHTML = '';
+    Object.entries(CONFIG.llm.providers).forEach(([name, provider]) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = provider.label;
+      select.appendChild(option);
+    });
 
+    try {
+      this.llmSettings = await this.llmService.getSettings();
+      select.value = this.llmSettings.provider;
+      this.showProviderSettings(this.llmSettings.provider);
     } catch (error) {
-      this.logger.error('Designer validation failed', {
-        error: error.message,
-        requestId,
-        tabId
-      });
+      this.logger.error('Failed to load LLM settings', { error: error.message });
+    }
+  }
 
-      if (error.message.includes('Could not establish connection') ||
-          error.message.includes('Receiving end does not exist')) {
-        throw new Error('Cannot communicate with Designer page - content script not loaded. Please refresh the Designer page and try again.');
-      }
+  /**
+   * Show the stored model, base URL and API key for a provider
+   * @param {string} name - The provider name
+   */
+  showProviderSettings(name) {
+    if (!this.llmSettings) {
+      return;
+    }
 
-      if (error.message.includes('timeout')) {
-        throw new Error('Designer page validation timed out - page may be busy or unresponsive');
-      }
+    const settings = this.llmSettings.providers[name];
+    document.getElementById('llmModel').value = settings.model;
+    document.getElementById('llmBaseUrl').value = settings.baseUrl;
+    document.getElementById('apiKeyInput').value = settings.apiKey;
+    document.getElementById('apiKeyInput').placeholder = CONFIG.llm.providers[name].requiresApiKey
+      ? 'API key (required)'
+      : 'API key (optional)';
+  }
 
-      throw new Error(`Designer validation failed: ${error.message}`);
+  /**
+   * Save the summarizer form as the selected provider's settings
+   */
+  async saveLLMSettings() {
+    const provider = document.getElementById('llmProvider').value;
+    const model = document.getElementById('llmModel').value.trim();
+    const baseUrl = document.getElementById('llmBaseUrl').value.trim();
+    const apiKey = document.getElementById('apiKeyInput').value.trim();
+
+    if (!model || !baseUrl) {
+      alert("Please enter a model and base URL.");
+      return;
+    }
+
+    if (CONFIG.llm.providers[provider].requiresApiKey && !apiKey) {
+      alert("Please enter a valid API key.");
+      return;
+    }
+
+    let origin;
+    try {
+      origin = new URL(baseUrl).origin;
+    } catch (error) {
+      alert("Please enter a valid base URL.");
+      return;
+    }
+
+    // Custom endpoints need host access to bypass CORS; must be requested during the click
+    const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+    if (!granted) {
+      this.logger.warn('Host permission not granted - requests to this endpoint may be blocked', { origin });
+    }
+
+    this.llmSettings.provider = provider;
+    this.llmSettings.providers[provider] = { model, baseUrl, apiKey };
+
+    try {
+      await this.llmService.saveSettings(this.llmSettings);
+      alert(`${CONFIG.llm.providers[provider].label} settings saved.`);
+    } catch (error) {
+      this.logger.error('Failed to save LLM settings', { error: error.message });
     }
   }
 
   /**
-   * Find a suitable Designer tab for validation
-   * @returns {Promise<number>} The tab ID
+   * Summarize a component screenshot with the active prompt template
+   * @param {string} screenshot - The screenshot as a data URL
+   * @param {object} component - The component ({ cid, wfdl, context })
+   * @returns {Promise<object>} The summary and the prompt that produced it ({ summary, promptId, promptVersion })
+   */
+  summarizeComponent(screenshot, component) {
+    return this.llmService.summarizeComponent(screenshot, component, this.promptLibrary);
+  }
+
+  /**
+   * Render the prompt template picker and show the active template
+   * @param {string} selectedId - The template to select; defaults to the active template
    */
-  async findDesignerTab() {
-    // Try to get the active tab first
-    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  async renderPromptTemplates(selectedId = null) {
+    const select = document.getElementById('promptSelect');
 
-    if (activeTab && CONFIG.designerUrls.isDesignerPage(activeTab.url)) {
-      this.logger.info('Using active Designer tab', { title: activeTab.title });
-      return activeTab.id;
+    try {
+      const templates = await this.promptLibrary.list();
+      const active = await this.promptLibrary.getActive();
+
+      select.innerHTML = '';
+      templates.forEach(template => {
+        const option = document.createElement('option');
+        option.value = template.id;
+        option.textContent = `${template.name} (v${template.version})`;
+        select.appendChild(option);
+      });
+
+      select.value = selectedId || active.id;
+      await this.showPromptTemplate(select.value);
+    } catch (error) {
+      this.logger.error('Failed to load prompt templates', { error: error.message });
     }
+  }
 
-    // If active tab is not Designer, find any Designer tabs
-    const designerTabs = await chrome.tabs.query({
-      url: CONFIG.designerUrls.patterns
+  /**
+   * Make a template active for new summaries and show it
+   * @param {string} id - The template id
+   */
+  async selectPromptTemplate(id) {
+    try {
+      await this.promptLibrary.setActive(id);
+      await this.showPromptTemplate(id);
+    } catch (error) {
+      this.logger.error('Failed to select prompt template', { id, error: error.message });
+    }
+  }
+
+  /**
+   * Show a template's name, versions and body in the editor
+   * @param {string} id - The template id
+   * @param {number} version - The version to show; defaults to the latest
+   */
+  async showPromptTemplate(id, version = null) {
+    const template = await this.promptLibrary.get(id, version);
+    const versionSelect = document.getElementById('promptVersionSelect');
+
+    versionSelect.innerHTML = '';
+    template.versions.slice().reverse().forEach(number => {
+      const option = document.createElement('option');
+      option.value = number;
+      option.textContent = `v${number}`;
+      versionSelect.appendChild(option);
     });
+    versionSelect.value = template.version;
 
-    if (designerTabs.length === 0) {
-      throw new Error('No Webflow Designer tabs found - validation requires Designer page');
+    document.getElementById('promptName').value = template.name;
+    document.getElementById('promptBody').value = template.body;
+  }
+
+  /**
+   * Show an earlier version of the selected template
+   * @param {number} version - The version to show
+   */
+  async showPromptVersion(version) {
+    try {
+      await this.showPromptTemplate(document.getElementById('promptSelect').value, version);
+    } catch (error) {
+      this.logger.error('Failed to load prompt version', { version, error: error.message });
+    }
+  }
+
+  /**
+   * Save the editor contents; a changed body becomes a new version
+   */
+  async savePromptTemplate() {
+    const id = document.getElementById('promptSelect').value;
+    const name = document.getElementById('promptName').value.trim();
+    const body = document.getElementById('promptBody').value;
+
+    if (!body.trim()) {
+      alert('Prompt template cannot be empty.');
+      return;
     }
 
-    // Filter for loaded tabs
-    const loadedTabs = designerTabs.filter(tab =>
-      tab.status === 'complete' &&
-      !tab.discarded &&
-      CONFIG.designerUrls.isDesignerPage(tab.url)
-    );
+    try {
+      const template = await this.promptLibrary.update(id, { name, body });
+      this.logger.info(`Saved prompt template "${template.name}" (v${template.version})`);
+      await this.renderPromptTemplates(id);
+    } catch (error) {
+      this.logger.error('Failed to save prompt template', { id, error: error.message });
+    }
+  }
 
-    if (loadedTabs.length === 0) {
-      throw new Error('No loaded Designer tabs found - please refresh Designer page');
+  /**
+   * Create a new template from the editor contents and make it active
+   */
+  async createPromptTemplate() {
+    const name = prompt('Name for the new prompt template:');
+    if (!name) {
+      return;
     }
 
-    const selectedTab = loadedTabs[0];
-    this.logger.info('Using first loaded Designer tab', { title: selectedTab.title });
-    return selectedTab.id;
+    try {
+      const template = await this.promptLibrary.create(name.trim(), document.getElementById('promptBody').value);
+      await this.promptLibrary.setActive(template.id);
+      await this.renderPromptTemplates(template.id);
+    } catch (error) {
+      this.logger.error('Failed to create prompt template', { error: error.message });
+    }
   }
 
   /**
-   * Send validation result back to server
-   * @param {string} requestId - The request ID
-   * @param {object} result - The validation result
+   * Delete the selected template
    */
-  sendValidationResult(requestId, result) {
-    if (!this.wsManager.send({
-      type: 'validation_result',
-      requestId: requestId,
-      id: this.extensionId,
-      result: result
-    })) {
-      this.logger.error('Failed to send validation result', { requestId });
-    } else {
-      this.logger.info('Sent validation result', { requestId });
+  async deletePromptTemplate() {
+    const id = document.getElementById('promptSelect').value;
+    if (!confirm('Delete this prompt template and all its versions?')) {
+      return;
+    }
+
+    try {
+      await this.promptLibrary.delete(id);
+      await this.renderPromptTemplates();
+    } catch (error) {
+      this.logger.error('Failed to delete prompt template', { id, error: error.message });
     }
   }
 
   /**
-   * Get WFDL (directly connects to Chrome Extension)
+   * Capture a cropped screenshot of every exported component and attach it to its pair
    */
-  // this prints stuff in the activity logger
-  async testValidation() {
-    // const wfdlString = document.getElementById('testWfdl').value.trim();
+  async captureScreenshots() {
+    if (!this.lastExport) {
+      this.logger.warn('Run "Get WFDL" before capturing screenshots');
+      return;
+    }
 
-    this.logger.info('Starting test validation...');
+    const { tabId, url, components } = this.lastExport;
+    const button = document.getElementById('captureBtn');
+    button.disabled = true;
+
+    try {
+      const results = await this.screenshotCapturer.captureComponents(
+        tabId,
+        Object.keys(components),
+        (cid, index, total) => {
+          button.textContent = `Capturing ${index + 1}/${total}...`;
+        }
+      );
+
+      for (const [cid, result] of Object.entries(results)) {
+        if (!result.success) {
+          this.logger.warn(`Screenshot failed for ${cid}: ${result.error}`);
+          continue;
+        }
+        await this.pairStore.upsert({ cid, sourceUrl: url, screenshot: result.screenshot });
+      }
+
+      await this.displayComponents(components);
+      await this.renderStoredPairs();
+    } catch (error) {
+      this.logger.error('Screenshot capture failed', { error: error.message });
+    } finally {
+      button.disabled = false;
+      button.textContent = 'Capture Component Screenshots';
+    }
+  }
+
+  /**
+   * Run the full pipeline (export, capture, summarize, save) on the current Designer tab
+   */
+  async generatePairsForPage() {
+    const button = document.getElementById('pipelineBtn');
+    const progressElement = document.getElementById('pipelineProgress');
+    const reportElement = document.getElementById('pipelineReport');
+
+    button.disabled = true;
+    reportElement.textContent = '';
     this.requestCount++;
     this.updateStats();
 
-        try {
+    try {
       const tabId = await this.findDesignerTab();
-      const result = await this.executeDesignerValidation(tabId);
+      const report = await this.pipeline.run(tabId, ({ message }) => {
+        progressElement.textContent = message;
+      });
 
-      this.logger.info('Test validation successful!');
-      this.logger.info(`Validation result: ${JSON.stringify(result.validationResult, null, 2)}`);
+      this.lastExport = { tabId, url: report.context.url, title: report.context.title, components: report.components };
+      this.updateSummaryTargets(report.components);
+      await this.displayComponents(report.components);
 
-      this.successCount++;
-      this.updateStats();
+      const lines = [
+        `${report.completed}/${report.total} pairs generated for ${report.context.title || report.context.url}`
+      ];
+      if (report.invalid.length) {
+        lines.push(`${report.invalid.length} failed wf.validateWFDL: ${report.invalid.join(', ')}`);
+      }
+      report.failures.forEach(failure => {
+        lines.push(`\u2717 ${failure.cid || 'all'} (${failure.stage}): ${failure.error}`);
+      });
+      reportElement.textContent = lines.join('\n');
 
-      // this.logger.info(`components: ${JSON.stringify(result.validationResult.components, null, 2)}` )
-      this.displayComponents(result.validationResult.components || {});
+      if (report.failures.length === 0) {
+        this.successCount++;
+        this.updateStats();
+      }
+      this.logger.info(`Pipeline finished: ${report.completed}/${report.total} pairs, ${report.failures.length} failures`);
+    } catch (error) {
+      progressElement.textContent = '';
+      reportElement.textContent = `Pipeline failed: ${error.message}`;
+      this.logger.error(`Pipeline failed: ${error.message}`);
+    } finally {
+      button.disabled = false;
+      await this.renderStoredPairs();
+    }
+  }
+
+  /**
+   * Create a pair for the element selected on the Designer canvas
+   */
+  async captureSelection() {
+    const button = document.getElementById('captureSelectionBtn');
+    const progressElement = document.getElementById('pipelineProgress');
+    const reportElement = document.getElementById('pipelineReport');
+
+    button.disabled = true;
+    reportElement.textContent = '';
+    progressElement.textContent = 'Capturing selected element...';
+    this.requestCount++;
+    this.updateStats();
 
+    try {
+      const tabId = await this.findDesignerTab();
+      const report = await this.selectionCapture.run(tabId);
+
+      const lines = [`Pair saved for ${report.cid} (selected via ${report.selection.source})`];
+      report.failures.forEach(failure => {
+        lines.push(`\u2717 ${report.cid} (${failure.stage}): ${failure.error}`);
+      });
+      progressElement.textContent = '';
+      reportElement.textContent = lines.join('\n');
+
+      if (report.failures.length === 0) {
+        this.successCount++;
+        this.updateStats();
+      }
+      this.logger.info(`Captured selected component ${report.cid}`);
     } catch (error) {
-      this.logger.error(`Test validation failed: ${error.message}`);
+      progressElement.textContent = '';
+      reportElement.textContent = `Selection capture failed: ${error.message}`;
+      this.logger.error(`Selection capture failed: ${error.message}`);
+    } finally {
+      button.disabled = false;
+      await this.renderStoredPairs();
     }
   }
 
-  displayComponents(components) {
-  const container = document.getElementById('componentList');
-  if (!container) {
-    this.logger.warn('Component list container not found');
-    return;
+  /**
+   * Summarize a screenshot and attach the summary to the selected component.
+   * Uses the uploaded file if there is one, otherwise the component's captured screenshot.
+   */
+  async generateSummary() {
+    const fileInput = document.getElementById('screenshotInput');
+    const output = document.getElementById('summaryOutput');
+    const cid = document.getElementById('summaryTarget').value;
+
+    let base64Image = null;
+    if (fileInput.files.length) {
+      base64Image = await blobToDataURL(fileInput.files[0]);
+    } else if (cid && this.lastExport) {
+      const pair = await this.pairStore.findByComponent(cid, this.lastExport.url);
+      base64Image = pair?.screenshot || null;
+    }
+
+    if (!base64Image) {
+      alert('Please upload or capture a screenshot first.');
+      return;
+    }
+
+    const provider = CONFIG.llm.providers[this.llmSettings?.provider]?.label || 'LLM';
+    output.textContent = `Calling ${provider}...`;
+
+    let result;
+    try {
+      result = await this.summarizeComponent(base64Image, {
+        cid,
+        wfdl: this.lastExport?.components[cid],
+        context: this.lastExport || {}
+      });
+      output.textContent = result.summary; //this overwrites "Calling ..."
+    } catch (err) {
+      output.textContent = "Error: " + err.message;
+      return;
+    }
+
+    if (!cid || !this.lastExport) {
+      this.logger.warn('No component selected - summary was not saved');
+      return;
+    }
+
+    try {
+      await this.pairStore.upsert({
+        cid,
+        sourceUrl: this.lastExport.url,
+        wfdl: this.lastExport.components[cid],
+        ...result,
+        reviewStatus: 'pending'
+      });
+      this.logger.info('Saved summary to pair', { cid });
+      await this.renderStoredPairs();
+      await this.renderReviewQueue();
+    } catch (error) {
+      this.logger.error('Failed to save summary', { cid, error: error.message });
+    }
   }
 
-  container.innerHTML = ''; // Clear previous entries
+  /**
+   * Render the stored pairs list
+   */
+  async renderStoredPairs() {
+    const container = document.getElementById('pairList');
+    const countElement = document.getElementById('pairCount');
 
-  const entries = Object.entries(components);
-  if (entries.length === 0) {
-    container.textContent = 'No components returned.';
-    return;
+    let pairs;
+    try {
+      pairs = await this.pairStore.getAll();
+    } catch (error) {
+      this.logger.error('Failed to load stored pairs', { error: error.message });
+      return;
+    }
+
+    countElement.textContent = pairs.length;
+    container.innerHTML = '';
+
+    if (pairs.length === 0) {
+      container.textContent = 'No pairs stored yet.';
+      return;
+    }
+
+    pairs.forEach(pair => {
+      const entry = document.createElement('div');
+      entry.className = 'pair-entry';
+
+      const header = document.createElement('div');
+      header.className = 'pair-header';
+
+      const title = document.createElement('span');
+      title.textContent = `cid: ${pair.cid}`;
+      header.appendChild(title);
+
+      if (pair.screenshot) {
+        const image = document.createElement('img');
+        image.src = pair.screenshot;
+        image.className = 'pair-screenshot';
+        title.prepend(image);
+      }
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn-small';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => this.deleteStoredPair(pair.id));
+      header.appendChild(deleteBtn);
+
+      entry.appendChild(header);
+
+      const meta = document.createElement('div');
+      meta.className = 'pair-meta';
+      meta.textContent = `${pair.sourceUrl} \u2014 ${new Date(pair.timestamp).toLocaleString()}`;
+      entry.appendChild(meta);
+
+      const summary = document.createElement('div');
+      summary.className = 'pair-summary';
+      summary.textContent = pair.summary || '(no summary yet)';
+      entry.appendChild(summary);
+
+      container.appendChild(entry);
+    });
   }
 
-  entries.forEach(([cid, componentCode], index) => {
-    const wrapper = document.createElement('div');
-    wrapper.style.marginBottom = '20px';
+  /**
+   * Delete a single stored pair
+   * @param {string} id - The pair id
+   */
+  async deleteStoredPair(id) {
+    try {
+      await this.pairStore.delete(id);
+      this.logger.info('Deleted pair', { id });
+    } catch (error) {
+      this.logger.error('Failed to delete pair', { id, error: error.message });
+    }
+    await this.renderStoredPairs();
+  }
 
-    const header = document.createElement('div');
-    header.style.fontWeight = 'bold';
-    header.style.marginBottom = '5px';
-    header.textContent = `Component ${index + 1} \u2014 cid: ${cid}`;
-    wrapper.appendChild(header);
+  /**
+   * Delete every stored pair after confirmation
+   */
+  async clearStoredPairs() {
+    if (!confirm('Delete all stored pairs?')) {
+      return;
+    }
 
-    const codeBlock = document.createElement('pre');
-    codeBlock.textContent = componentCode;
-    codeBlock.style.whiteSpace = 'pre-wrap';
-    codeBlock.style.background = '#ffffff';
-    codeBlock.style.border = '1px solid #ced4da';
-    codeBlock.style.borderRadius = '6px';
-    codeBlock.style.padding = '10px';
-    codeBlock.style.fontSize = '11px';
-    codeBlock.style.maxHeight = '250px';
-    codeBlock.style.overflowY = 'auto';
-
-    wrapper.appendChild(codeBlock);
-    container.appendChild(wrapper);
-  });
-}
+    try {
+      await this.pairStore.clear();
+    } catch (error) {
+      this.logger.error('Failed to clear pairs', { error: error.message });
+    }
+    await this.renderStoredPairs();
+  }
+
+  /**
+   * Download the stored pairs matching the export filter as a JSONL dataset
+   */
+  async exportDataset() {
+    try {
+      const stored = this.datasetSerializer.filterPairs(await this.pairStore.getAll(), {
+        reviewStatus: document.getElementById('exportFilter').value,
+        excludeInvalid: document.getElementById('exportExcludeInvalid').checked
+      });
+
+      // Pairs stored before canonicalization existed are normalized on the way out
+      let pairs = await Promise.all(stored.map(pair => this.pairStore.normalize(pair)));
+
+      if (document.getElementById('exportDropDuplicates').checked) {
+        const unique = this.deduplicator.removeDuplicates(pairs);
+        this.logger.info(`Dropped ${pairs.length - unique.length} duplicate pairs from export`);
+        pairs = unique;
+      }
+      if (pairs.length === 0) {
+        this.logger.warn('No pairs to export');
+        return;
+      }
+
+      const jsonl = this.datasetSerializer.toJSONL(pairs);
+      const url = URL.createObjectURL(new Blob([jsonl], { type: 'application/x-ndjson' }));
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = this.datasetSerializer.getFileName();
+      link.click();
+      URL.revokeObjectURL(url);
+
+      this.logger.info(`Exported ${pairs.length} pairs as JSONL`);
+    } catch (error) {
+      this.logger.error('Dataset export failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Find duplicate and near-duplicate pairs and show them as groups
+   */
+  async findDuplicates() {
+    try {
+      const pairs = await Promise.all((await this.pairStore.getAll()).map(pair => this.pairStore.normalize(pair)));
+      this.displayDuplicateGroups(this.deduplicator.findGroups(pairs));
+    } catch (error) {
+      this.logger.error('Duplicate detection failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Show duplicate groups, each with a "Keep" action that deletes the rest of the group
+   * @param {Array<object>} groups - Groups from PairDeduplicator.findGroups()
+   */
+  displayDuplicateGroups(groups) {
+    const section = document.getElementById('duplicateSection');
+    const container = document.getElementById('duplicateList');
+
+    container.innerHTML = '';
+    section.style.display = 'block';
+
+    if (groups.length === 0) {
+      container.textContent = 'No duplicates found.';
+      return;
+    }
+
+    groups.forEach(group => {
+      const entry = document.createElement('div');
+      entry.className = 'pair-entry';
+
+      const header = document.createElement('div');
+      header.className = 'pair-header';
+      header.textContent = group.kind === 'exact'
+        ? `Exact duplicates (${group.pairs.length})`
+        : `Near duplicates (${group.pairs.length}, \u2265${Math.round(group.similarity * 100)}% similar)`;
+      entry.appendChild(header);
+
+      group.pairs.forEach(pair => {
+        const row = document.createElement('div');
+        row.className = 'pair-header';
+        row.style.fontWeight = 'normal';
+
+        const label = document.createElement('span');
+        label.className = 'pair-meta';
+        label.textContent = `${pair === group.representative ? '\u2605 ' : ''}${pair.cid} \u2014 ${pair.sourceUrl}`;
+        row.appendChild(label);
+
+        const keepBtn = document.createElement('button');
+        keepBtn.className = 'btn-small';
+        keepBtn.textContent = 'Keep';
+        keepBtn.addEventListener('click', () => this.keepDuplicate(group, pair));
+        row.appendChild(keepBtn);
+
+        entry.appendChild(row);
+      });
+
+      container.appendChild(entry);
+    });
+  }
+
+  /**
+   * Keep one pair of a duplicate group and delete the others
+   * @param {object} group - The duplicate group
+   * @param {object} keep - The pair to keep
+   */
+  async keepDuplicate(group, keep) {
+    const others = group.pairs.filter(pair => pair !== keep);
+    if (!confirm(`Delete ${others.length} duplicate pair(s) and keep ${keep.cid}?`)) {
+      return;
+    }
 
+    try {
+      for (const pair of others) {
+        await this.pairStore.delete(pair.id);
+      }
+      this.logger.info(`Kept ${keep.cid}, deleted ${others.length} duplicates`);
+    } catch (error) {
+      this.logger.error('Failed to delete duplicates', { error: error.message });
+    }
 
+    await this.renderStoredPairs();
+    await this.renderReviewQueue();
+    await this.findDuplicates();
+  }
+
+  /**
+   * Import a JSONL dataset and merge it into the pair store
+   * @param {HTMLInputElement} input - The file input holding the dataset
+   */
+  async importDataset(input) {
+    if (!input.files.length) {
+      return;
+    }
+
+    const file = input.files[0];
+    input.value = ''; // Allow re-importing the same file
+
+    try {
+      const { pairs, errors } = this.datasetSerializer.parseJSONL(await file.text());
+      const report = await this.pairMerger.merge(pairs);
+
+      this.logger.info(`Imported ${file.name}: ${report.added} added, ${report.filled} filled, ` +
+        `${report.unchanged} unchanged, ${report.conflicts.length} conflicts, ${errors.length} invalid lines`);
+
+      this.displayConflicts(report.conflicts);
+    } catch (error) {
+      this.logger.error('Dataset import failed', { error: error.message });
+    }
+
+    await this.renderStoredPairs();
+  }
+
+  /**
+   * Show merge conflicts so each one can be resolved by hand
+   * @param {Array<object>} conflicts - Conflicts from PairMerger.merge()
+   */
+  displayConflicts(conflicts) {
+    const section = document.getElementById('conflictSection');
+    const container = document.getElementById('conflictList');
+
+    container.innerHTML = '';
+    section.style.display = conflicts.length ? 'block' : 'none';
+
+    conflicts.forEach(conflict => {
+      const entry = document.createElement('div');
+      entry.className = 'pair-entry';
+
+      const header = document.createElement('div');
+      header.className = 'pair-header';
+      header.textContent = `cid: ${conflict.local.cid}`;
+      entry.appendChild(header);
+
+      const meta = document.createElement('div');
+      meta.className = 'pair-meta';
+      meta.textContent = conflict.local.sourceUrl;
+      entry.appendChild(meta);
+
+      conflict.fields.forEach(field => {
+        [['Local', conflict.local], ['Imported', conflict.incoming]].forEach(([label, pair]) => {
+          const value = document.createElement('pre');
+          value.className = 'conflict-value';
+          value.textContent = `${label} ${field}:\n${pair[field]}`;
+          entry.appendChild(value);
+        });
+      });
+
+      const actions = document.createElement('div');
+      actions.className = 'controls';
+      actions.style.marginBottom = '0';
+
+      [['Keep Local', 'local', 'btn-secondary'], ['Use Imported', 'incoming', 'btn-primary']].forEach(([text, choice, className]) => {
+        const button = document.createElement('button');
+        button.className = className;
+        button.textContent = text;
+        button.addEventListener('click', async () => {
+          try {
+            await this.pairMerger.resolve(conflict, choice);
+            entry.remove();
+            if (!container.children.length) {
+              section.style.display = 'none';
+            }
+            await this.renderStoredPairs();
+          } catch (error) {
+            this.logger.error('Failed to resolve conflict', { cid: conflict.local.cid, error: error.message });
+          }
+        });
+        actions.appendChild(button);
+      });
+
+      entry.appendChild(actions);
+      container.appendChild(entry);
+    });
+  }
 
   /**
    * Update connection status in UI
@@ -415,6 +1514,7 @@ class WFDLValidatorPopup {
     const disconnectBtn = document.getElementById('disconnectBtn');
 
     statusElement.textContent = status;
+    this.connectionStatus = status;
 
     // Update indicator and buttons
     indicatorElement.className = 'status-indicator';
@@ -430,14 +1530,16 @@ class WFDLValidatorPopup {
       connectBtn.disabled = false;
       disconnectBtn.disabled = true;
     }
+
+    this.renderReconnectState(this.reconnectState);
   }
 
   /**
    * Update statistics in UI
    */
   updateStats() {
-    document.getElementById('requestCount').textContent = this.requestCount;
-    document.getElementById('successCount').textContent = this.successCount;
+    document.getElementById('requestCount').textContent = this.requestCount + this.serverStats.requests;
+    document.getElementById('successCount').textContent = this.successCount + this.serverStats.successes;
   }
 
   /**
@@ -466,11 +1568,12 @@ class WFDLValidatorPopup {
    * Add log entry to UI
    * @param {string} message - The log message
    * @param {string} level - The log level
+   * @param {string} timestamp - When the entry was logged (default now)
    */
-  addLogEntry(message, level = 'info') {
+  addLogEntry(message, level = 'info', timestamp = null) {
     const logEntry = document.createElement('div');
     logEntry.className = `log-entry ${level}`;
-    logEntry.textContent = `[${new Date().toLocaleTimeString()}] ${message}`;
+    logEntry.textContent = `[${(timestamp ? new Date(timestamp) : new Date()).toLocaleTimeString()}] ${message}`;
 
     const activityLog = document.getElementById('activityLog');
     activityLog.appendChild(logEntry);
@@ -484,79 +1587,28 @@ class WFDLValidatorPopup {
   }
 }
 
-// Function that will be injected and executed in the target page
-// This bypasses CSP by creating a script element directly in the DOM
-// This function directly changes the console. 
-function getWFDL() {
-  try {
-    // Create a script element to inject the code
-    const script = document.createElement('script');
-
-    // Create the validation code
-    const validationCode = `
-      console.log('WFDL Extension: Executing getWFDL');
-      console.log('wf object type:', typeof wf);
-      console.log('wf.exportTrainingData type:', typeof wf?.exportTrainingData);
-
-      if (typeof wf === 'undefined' || typeof wf.exportTrainingData !== 'function') {
-        console.error('wf.exportTrainingData not available');
-        window.__wfdlValidationError = 'wf.exportTrainingData not available in page context';
-        throw new Error('wf.exportTrainingData not available in page context');
-      }
-
-      console.log('Calling wf.exportTrainingData');
-      const result = wf.exportTrainingData();
-      console.log('WFDL result:', result);
-
-      // Store result for extension to retrieve
-      window.__wfdlValidationResult = result;
-    `;
-
-    // Wrap the validation code to capture any return value
-    const wrappedCode = `
-      (function() {
-        try {
-          ${validationCode}
-        } catch (error) {
-          window.__wfdlValidationError = error.message;
-          throw error;
-        }
-      })();
-    `;
-
-    script.textContent = wrappedCode;
-
-    // Inject the script into the page
-    (document.head || document.documentElement).appendChild(script);
-
-    // Clean up the script element
-    script.remove();
-
-    // Check if there was an error
-    if (window.__wfdlValidationError) {
-      const error = window.__wfdlValidationError;
-      delete window.__wfdlValidationError;
-      return { success: false, error: error };
-    }
-
-    // Get the result
-    const result = window.__wfdlValidationResult;
-    delete window.__wfdlValidationResult;
-
-    return { success: true, data: result };
-
-  } catch (error) {
-    return { success: false, error: `JavaScript Error: ${error.message}` };
-  }
-}
-
 // Initialize the popup when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
   // Load required scripts
   const scripts = [
     'config.js',
     'utils/logger.js',
-    'utils/websocket-manager.js'
+    'utils/pair-store.js',
+    'utils/dataset-serializer.js',
+    'utils/pair-merger.js',
+    'utils/screenshot-capturer.js',
+    'utils/pair-pipeline.js',
+    'utils/llm-providers.js',
+    'utils/prompt-library.js',
+    'utils/wfdl-parser.js',
+    'utils/wfdl-canonicalizer.js',
+    'utils/pair-deduplicator.js',
+    'utils/wfdl-diagnostics.js',
+    'utils/designer-capabilities.js',
+    'utils/designer-tab-registry.js',
+    'utils/multi-tab-exporter.js',
+    'utils/selection-capture.js',
+    'utils/validation-executor.js'
   ];
 
   let loadedScripts = 0;
@@ -574,112 +1626,3 @@ document.addEventListener('DOMContentLoaded', () => {
     document.head.appendChild(scriptElement);
   });
 });
-
-
-// process input image
-document.getElementById('sendToGemini').addEventListener('click', async () => {
-  const fileInput = document.getElementById('screenshotInput');
-  const output = document.getElementById('summaryOutput');
-
-  if (!fileInput.files.length) {
-    alert('Please upload a screenshot first.');
-    return;
-  }
-
-  const file = fileInput.files[0];
-  const reader = new FileReader();
-  reader.onload = async () => {
-    const base64Image = reader.result; // data:image/png;base64,...
-
-    output.textContent = "Calling Gemini...";
-
-    // if (base64Image){
-    //   output.textContent = "has image!!";
-    // }
-
-    try {
-      const summary = await callGeminiWithScreenshot(base64Image);
-      output.textContent = summary || "No summary returned."; //this overwrites "Calling Gemini"
-    } catch (err) {
-      output.textContent = "Error: " + err.message;
-    }
-  };
-  reader.readAsDataURL(file);
-});
-
-// Save API Key
-document.getElementById('saveApiKey').addEventListener('click', () => {
-  const key = document.getElementById('apiKeyInput').value.trim();
-  if (!key) {
-    alert("Please enter a valid API key.");
-    return;
-  }
-  chrome.storage.local.set({ geminiApiKey: key }, () => {
-    alert("API key saved.");
-  });
-});
-
-// Load stored key into input (optional UX)
-chrome.storage.local.get(['geminiApiKey'], (result) => {
-  if (result.geminiApiKey) {
-    document.getElementById('apiKeyInput').value = result.geminiApiKey;
-  }
-});
-
-
-
-async function callGeminiWithScreenshot(base64Image) {
-  // Return a promise because chrome.storage is async
-  return new Promise((resolve, reject) => {
-    chrome.storage.local.get(['geminiApiKey'], async (result) => {
-      const GEMINI_API_KEY = result.geminiApiKey;
-
-      if (!GEMINI_API_KEY) {
-        reject(new Error('No Gemini API key found. Please save it in the extension.'));
-        return;
-      }
-
-      // Strip "data:image/png;base64," prefix if present
-      const imageData = base64Image.replace(/^data:image\/[a-z]+;base64,/, '');
-
-      try {
-        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${GEMINI_API_KEY}`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json"
-          },
-          body: JSON.stringify({
-            contents: [{
-              parts: [
-                { // prompt
-                  text: `You are helping me create training data for an AI that generates structured component code (WFDL) from visual summaries. 
-                          This image shows a UI component from a Webflow site. Please describe the layout, content, and structure in plain English as if you were labeling this component for training. Be concise but specific.
-                          Avoid explaining *how* to code it — just describe *what* it is.
-                          Output format: A short summary.`
-                },
-                {
-                  inline_data: {
-                    mime_type: "image/png",
-                    data: imageData
-                  }
-                }
-              ]
-            }]
-          })
-        });
-
-        if (!response.ok) {
-          const errText = await response.text();
-          reject(new Error(`Gemini API call failed: ${errText}`));
-          return;
-        }
-
-        const data = await response.json();
-        const summary = data?.candidates?.[0]?.content?.parts?.[0]?.text || "No summary returned";
-        resolve(summary);
-      } catch (err) {
-        reject(new Error(`Gemini request error: ${err.message}`));
-      }
-    });
-  });
-}
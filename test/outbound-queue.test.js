@@ -0,0 +1,63 @@
+/**
+ * Outbound Queue tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.CONFIG = require('../config.js');
+global.Logger = require('../utils/logger.js');
+const OutboundQueue = require('../utils/outbound-queue.js');
+
+// chrome.storage.local keeping a JSON copy, like the real one
+test.beforeEach(() => {
+  const stored = {};
+  global.chrome = {
+    storage: {
+      local: {
+        get: async key => (key in stored ? { [key]: JSON.parse(stored[key]) } : {}),
+        set: async values => Object.entries(values).forEach(([key, value]) => { stored[key] = JSON.stringify(value); })
+      }
+    }
+  };
+});
+
+test('a message with a queued requestId replaces it in place', async () => {
+  const queue = new OutboundQueue();
+  await queue.enqueue({ type: 'validation_result', requestId: 'r1', result: 'old' });
+  await queue.enqueue({ type: 'validation_result', requestId: 'r2', result: 'other' });
+  const length = await queue.enqueue({ type: 'validation_result', requestId: 'r1', result: 'new' });
+
+  assert.equal(length, 2);
+  assert.deepEqual((await queue.list()).map(entry => [entry.requestId, entry.message.result]), [['r1', 'new'], ['r2', 'other']]);
+});
+
+test('flush sends in order and stops at the first undeliverable message', async () => {
+  const queue = new OutboundQueue();
+  await Promise.all(['r1', 'r2', 'r3'].map(requestId => queue.enqueue({ type: 'validation_result', requestId })));
+
+  const sent = [];
+  const delivered = await queue.flush(async message => {
+    sent.push(message.requestId);
+    return message.requestId !== 'r2';
+  });
+
+  assert.equal(delivered, 1);
+  assert.deepEqual(sent, ['r1', 'r2']);
+  assert.deepEqual((await queue.list()).map(entry => [entry.requestId, entry.attempts]), [['r2', 1], ['r3', 0]]);
+
+  assert.equal(await queue.flush(async () => true), 2);
+  assert.deepEqual(await queue.list(), []);
+});
+
+test('a head entry that keeps failing is dropped after maxAttempts', async () => {
+  const queue = new OutboundQueue({ maxAttempts: 2 });
+  await queue.enqueue({ type: 'validation_result', requestId: 'stuck' });
+  await queue.enqueue({ type: 'validation_result', requestId: 'ok' });
+
+  const send = async message => message.requestId === 'ok';
+  assert.equal(await queue.flush(send), 0);
+  assert.equal(await queue.flush(send), 1);
+  assert.deepEqual(await queue.list(), []);
+});
@@ -0,0 +1,52 @@
+/**
+ * Pair Deduplicator tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.CONFIG = require('../config.js');
+global.Logger = require('../utils/logger.js');
+global.WFDLParser = require('../utils/wfdl-parser.js').WFDLParser;
+const PairDeduplicator = require('../utils/pair-deduplicator.js');
+
+const list = (links) => `<List>${Array.from({ length: links }, (_, i) => `<Link href="/${i}">Item ${i}</Link>`).join('')}</List>`;
+
+test('pairs with the same canonical hash form an exact group', () => {
+  const pairs = [
+    { cid: 'a', wfdlHash: 'h1', wfdl: list(2), reviewStatus: 'pending', timestamp: '2024-01-01' },
+    { cid: 'b', wfdlHash: 'h1', wfdl: list(2), reviewStatus: 'accepted', timestamp: '2024-01-02' },
+    { cid: 'c', wfdlHash: 'h2', wfdl: '<Image src="x" />', timestamp: '2024-01-03' }
+  ];
+
+  const groups = new PairDeduplicator().findGroups(pairs);
+
+  assert.equal(groups.length, 1);
+  assert.equal(groups[0].kind, 'exact');
+  assert.equal(groups[0].similarity, 1);
+  // The accepted pair is kept over the older pending one
+  assert.deepEqual(groups[0].pairs.map(pair => pair.cid), ['b', 'a']);
+});
+
+test('structurally similar pairs form a near group by Jaccard similarity', () => {
+  const deduplicator = new PairDeduplicator();
+  const seven = deduplicator.shingles(list(7));
+  const six = deduplicator.shingles(list(6));
+
+  // Seven links share all 13 shingles of six links, out of 15 in total
+  assert.equal(deduplicator.similarity(seven, six), 13 / 15);
+
+  const pairs = [
+    { cid: 'a', wfdlHash: 'h7', wfdl: list(7), timestamp: '2024-01-01' },
+    { cid: 'b', wfdlHash: 'h6', wfdl: list(6), timestamp: '2024-01-02' },
+    { cid: 'c', wfdlHash: 'h1', wfdl: list(1), timestamp: '2024-01-03' }
+  ];
+  const groups = deduplicator.findGroups(pairs);
+
+  assert.equal(groups.length, 1);
+  assert.equal(groups[0].kind, 'near');
+  assert.equal(groups[0].similarity, 13 / 15);
+  assert.deepEqual(groups[0].pairs.map(pair => pair.cid), ['a', 'b']);
+  assert.deepEqual(deduplicator.removeDuplicates(pairs).map(pair => pair.cid), ['a', 'c']);
+});
@@ -0,0 +1,98 @@
+/**
+ * Reconnect Policy tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.CONFIG = require('../config.js');
+global.Logger = require('../utils/logger.js');
+const ReconnectPolicy = require('../utils/reconnect-policy.js');
+
+const settings = { initialDelay: 1000, maxDelay: 5000, multiplier: 2, jitter: 0.2, maxAttempts: 3 };
+
+test('delay grows exponentially up to maxDelay, within the jitter', (t) => {
+  const policy = new ReconnectPolicy(settings);
+
+  t.mock.method(Math, 'random', () => 0.5);
+  assert.deepEqual([1, 2, 3, 4, 5].map(attempt => policy.delay(attempt)), [1000, 2000, 4000, 5000, 5000]);
+
+  t.mock.method(Math, 'random', () => 0);
+  assert.equal(policy.delay(2), 1600);
+  t.mock.method(Math, 'random', () => 0.9999);
+  assert.equal(policy.delay(2), 2400);
+});
+
+test('gives up after maxAttempts until reset', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const policy = new ReconnectPolicy(settings);
+  let attempts = 0;
+  const attempt = () => attempts++;
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal(policy.schedule(attempt), true);
+    t.mock.timers.tick(5000);
+  }
+  assert.equal(attempts, 3);
+
+  assert.equal(policy.schedule(attempt), false);
+  assert.equal(policy.getState().exhausted, true);
+  assert.equal(policy.retryNow(), false);
+
+  policy.reset();
+  assert.deepEqual(policy.getState(), { attempt: 0, maxAttempts: 3, nextAttemptAt: null, paused: false, exhausted: false });
+  assert.equal(policy.schedule(attempt), true);
+  policy.cancel();
+});
+
+test('schedules nothing while paused and retries right away on resume', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const policy = new ReconnectPolicy(settings);
+  let attempts = 0;
+
+  policy.schedule(() => attempts++);
+  policy.pause();
+  t.mock.timers.tick(10000);
+  assert.equal(attempts, 0);
+  assert.equal(policy.getState().nextAttemptAt, null);
+
+  // A failed attempt while offline waits for the network instead of counting against the limit
+  policy.schedule(() => attempts++);
+  assert.equal(policy.getState().attempt, 1);
+
+  policy.resume();
+  assert.equal(attempts, 1);
+  assert.equal(policy.getState().paused, false);
+});
+
+test('rearm picks up an attempt scheduled by a previous service worker', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000 });
+  const stored = { reconnectPolicy: { attempt: 2, nextAttemptAt: 4000, exhausted: false } };
+  global.chrome = {
+    storage: {
+      session: {
+        get: async key => ({ [key]: stored[key] }),
+        set: async values => Object.assign(stored, values)
+      }
+    }
+  };
+  t.after(() => delete global.chrome);
+
+  const policy = new ReconnectPolicy(settings);
+  await policy.restored;
+  assert.equal(policy.getState().attempt, 2);
+
+  let attempts = 0;
+  assert.equal(policy.rearm(() => attempts++), true);
+  t.mock.timers.tick(2999);
+  assert.equal(attempts, 0);
+  t.mock.timers.tick(1);
+  assert.equal(attempts, 1);
+
+  // An attempt that is already overdue is left to the caller
+  stored.reconnectPolicy = { attempt: 2, nextAttemptAt: 1000, exhausted: false };
+  const overdue = new ReconnectPolicy(settings);
+  await overdue.restored;
+  assert.equal(overdue.rearm(() => attempts++), false);
+});
@@ -0,0 +1,38 @@
+/**
+ * WFDL Canonicalizer tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.CONFIG = require('../config.js');
+global.Logger = require('../utils/logger.js');
+global.WFDLParser = require('../utils/wfdl-parser.js').WFDLParser;
+const WFDLCanonicalizer = require('../utils/wfdl-canonicalizer.js');
+
+const source = `
+<Block id="3f2a9c1e-8b7d-4e6f-a1b2-c3d4e5f60718" class="hero hero_4f9e2a1b">
+  <Link href="0123456789abcdef0123" class="w-node-8a7b6c5d4e3f">  Read   more </Link>
+</Block>`;
+
+test('canonicalize is idempotent', () => {
+  const canonicalizer = new WFDLCanonicalizer();
+  const first = canonicalizer.canonicalize(source);
+  const second = canonicalizer.canonicalize(first.wfdl);
+
+  assert.equal(second.wfdl, first.wfdl);
+  assert.deepEqual(Object.keys(second.identifiers), Object.keys(first.identifiers));
+  Object.keys(second.identifiers).forEach(placeholder => {
+    assert.equal(second.identifiers[placeholder], placeholder);
+  });
+});
+
+test('restore puts back the identifiers of a second pass', () => {
+  const canonicalizer = new WFDLCanonicalizer();
+  const first = canonicalizer.canonicalize(source);
+  const second = canonicalizer.canonicalize(first.wfdl);
+
+  assert.deepEqual(Object.keys(first.identifiers), ['cls-1', 'id-1', 'cls-2', 'id-2']);
+  assert.equal(canonicalizer.restore(second.wfdl, first.identifiers), canonicalizer.restore(first.wfdl, first.identifiers));
+});
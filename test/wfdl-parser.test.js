@@ -0,0 +1,56 @@
+/**
+ * WFDL Parser tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { WFDLParser, WFDLSyntaxError } = require('../utils/wfdl-parser.js');
+
+test('syntax errors carry the line and column where they occurred', () => {
+  const parser = new WFDLParser();
+
+  assert.throws(() => parser.parse('<Block>\n  <Link>\n</Block>'), error => {
+    assert.ok(error instanceof WFDLSyntaxError);
+    assert.equal(error.reason, 'Mismatched closing tag </Block>, expected </Link>');
+    assert.equal(error.line, 3);
+    assert.equal(error.column, 1);
+    return true;
+  });
+
+  assert.throws(() => parser.parse('<A x="1" x="2" />'), { name: 'WFDLSyntaxError', line: 1, column: 10 });
+});
+
+test('fragments parse as unnamed elements', () => {
+  const [fragment] = new WFDLParser().parse('<>\n  <A x="1" />text</>').children;
+
+  assert.equal(fragment.type, 'Element');
+  assert.equal(fragment.name, '');
+  assert.deepEqual(fragment.children.map(child => child.type), ['Element', 'Text']);
+  assert.equal(fragment.children[0].selfClosing, true);
+  assert.equal(fragment.children[0].attributes[0].value, '1');
+});
+
+test('void elements take no children or closing tag', () => {
+  const [block] = new WFDLParser().parse('<Block><img src="a"><br>hi</Block>').children;
+
+  assert.deepEqual(block.children.map(child => child.name ?? child.value), ['img', 'br', 'hi']);
+  assert.deepEqual(block.children[0].children, []);
+
+  // Without the void list <img> would swallow the rest and leave <Block> unclosed
+  assert.throws(() => new WFDLParser({ voidElements: [] }).parse('<Block><img src="a"></Block>'), WFDLSyntaxError);
+});
+
+test('tryParse returns the error instead of throwing', () => {
+  const parser = new WFDLParser();
+
+  const failed = parser.tryParse('<A');
+  assert.equal(failed.ast, null);
+  assert.ok(failed.error instanceof WFDLSyntaxError);
+  assert.equal(failed.error.reason, 'Unterminated tag <A>');
+
+  const parsed = parser.tryParse('<A />');
+  assert.equal(parsed.error, null);
+  assert.equal(parsed.ast.type, 'Document');
+});
@@ -0,0 +1,161 @@
+/**
+ * (HTMLsummary, WDFL) generater - Dataset Serializer
+ * Converts stored pairs to and from the versioned JSONL dataset format
+ *
+ * Record schema (version 5), one JSON object per line:
+ *   schemaVersion    {number} - Dataset record schema version
+ *   cid              {string} - Component id from wf.exportTrainingData()
+ *   summary          {string} - Plain-English summary of the component
+ *   wfdl             {string} - Component WFDL, in canonical form
+ *   wfdlHash         {string} - SHA-256 of the canonical WFDL (since version 4)
+ *   sourceUrl        {string} - Designer site/page URL the component was exported from
+ *   extensionVersion {string} - Extension version that captured the pair
+ *   capturedAt       {string} - Capture time (ISO 8601)
+ *   promptId         {string|null} - Prompt template that produced the summary (since version 2)
+ *   promptVersion    {number|null} - Version of that prompt template (since version 2)
+ *   reviewStatus     {string} - 'pending', 'accepted' or 'rejected' (since version 3)
+ *   reviewNotes      {string} - Reviewer notes (since version 3)
+ *   validation       {object|null} - wf.validateWFDL() round trip ({ valid, diagnostics, validatedAt }),
+ *                                    null if the component was never validated (since version 5)
+ */
+
+class DatasetSerializer {
+  constructor() {
+    this.logger = new Logger('DatasetSerializer');
+    this.schemaVersion = CONFIG.dataset.schemaVersion;
+  }
+
+  /**
+   * Convert a stored pair to a dataset record
+   * @param {object} pair - The pair record from the pair store
+   * @returns {object} The dataset record
+   */
+  toRecord(pair) {
+    return {
+      schemaVersion: this.schemaVersion,
+      cid: pair.cid,
+      summary: pair.summary || '',
+      wfdl: pair.wfdl || '',
+      wfdlHash: pair.wfdlHash || null,
+      sourceUrl: pair.sourceUrl || '',
+      extensionVersion: pair.extensionVersion || CONFIG.extension.version,
+      capturedAt: pair.timestamp,
+      promptId: pair.promptId || null,
+      promptVersion: pair.promptVersion || null,
+      reviewStatus: pair.reviewStatus || 'pending',
+      reviewNotes: pair.reviewNotes || '',
+      validation: pair.validation || null
+    };
+  }
+
+  /**
+   * Select the pairs to export
+   * @param {Array<object>} pairs - The pair records
+   * @param {object} options - Export filters
+   * @param {string} options.reviewStatus - 'all', 'not_rejected', or a single status ('pending', 'accepted', 'rejected')
+   * @param {boolean} options.excludeInvalid - Drop pairs whose WFDL failed wf.validateWFDL (unvalidated pairs are kept)
+   * @returns {Array<object>} The pairs to export
+   */
+  filterPairs(pairs, { reviewStatus = 'all', excludeInvalid = false } = {}) {
+    return pairs.filter(pair => {
+      if (excludeInvalid && pair.validation && !pair.validation.valid) {
+        return false;
+      }
+
+      const status = pair.reviewStatus || 'pending';
+      if (reviewStatus === 'all') {
+        return true;
+      }
+      if (reviewStatus === 'not_rejected') {
+        return status !== 'rejected';
+      }
+      return status === reviewStatus;
+    });
+  }
+
+  /**
+   * Serialize pairs as JSONL
+   * @param {Array<object>} pairs - The pair records to serialize
+   * @returns {string} One dataset record per line
+   */
+  toJSONL(pairs) {
+    return pairs.map(pair => JSON.stringify(this.toRecord(pair))).join('\n') + (pairs.length ? '\n' : '');
+  }
+
+  /**
+   * Convert a dataset record back to pair data for the pair store
+   * @param {object} record - The dataset record
+   * @returns {object} The pair data
+   */
+  fromRecord(record) {
+    if (!record || typeof record !== 'object') {
+      throw new Error('Record is not an object');
+    }
+
+    if (typeof record.schemaVersion !== 'number' || record.schemaVersion > this.schemaVersion) {
+      throw new Error(`Unsupported schema version: ${record.schemaVersion}`);
+    }
+
+    if (!record.cid) {
+      throw new Error('Record is missing cid');
+    }
+
+    return {
+      cid: String(record.cid),
+      summary: record.summary || '',
+      wfdl: record.wfdl || '',
+      sourceUrl: record.sourceUrl || '',
+      extensionVersion: record.extensionVersion,
+      timestamp: record.capturedAt,
+      promptId: record.promptId || null,
+      promptVersion: record.promptVersion || null,
+      reviewStatus: record.reviewStatus || 'pending',
+      reviewNotes: record.reviewNotes || '',
+      validation: record.validation || null
+    };
+  }
+
+  /**
+   * Parse a JSONL dataset
+   * @param {string} text - The JSONL file contents
+   * @returns {object} The parsed pairs and any per-line errors ({ pairs, errors })
+   */
+  parseJSONL(text) {
+    const pairs = [];
+    const errors = [];
+
+    text.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      try {
+        pairs.push(this.fromRecord(JSON.parse(line)));
+      } catch (error) {
+        errors.push({ line: index + 1, error: error.message });
+      }
+    });
+
+    if (errors.length) {
+      this.logger.warn(`Skipped ${errors.length} invalid dataset lines`, { errors });
+    }
+
+    return { pairs, errors };
+  }
+
+  /**
+   * Build a timestamped file name for a dataset export
+   * @returns {string} The file name
+   */
+  getFileName() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return `${CONFIG.dataset.fileNamePrefix}-${stamp}.jsonl`;
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DatasetSerializer;
+} else {
+  self.DatasetSerializer = DatasetSerializer;
+}
@@ -0,0 +1,19 @@
+/**
+ * (HTMLsummary, WDFL) generater - Designer API Lookup
+ * Finds the Designer's wf object from the page's main world
+ *
+ * Some Designer builds declare wf as a lexical global (let/const at the top level of a script),
+ * which is reachable by name but is not a property of window, so the bare name is tried first.
+ * Loaded into the page before utils/page-bridge-host.js and before main-world probes that read wf.
+ */
+
+function wfdlDesignerApi() {
+  return typeof wf !== 'undefined' ? wf : window.wf;
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = wfdlDesignerApi;
+} else {
+  self.wfdlDesignerApi = wfdlDesignerApi;
+}
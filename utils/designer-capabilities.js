@@ -0,0 +1,156 @@
+/**
+ * (HTMLsummary, WDFL) generater - Designer Capabilities
+ * Detects which wf training/validation APIs a Designer build exposes and routes calls to them
+ *
+ * Each operation (CONFIG.designerApi.operations) lists candidate wf method names in order of
+ * preference, e.g. export: exportTrainingData, then extractTrainingData. A probe records every
+ * candidate's shape ({ type, arity }) and picks the first function per operation.
+ *
+ * Capabilities: { wfType, methods: { [name]: { type, arity } }, operations: { [operation]: name | null }, probedAt }
+ *
+ * Results are cached per tab. Probes that don't find `wf` at all are not cached, since the
+ * Designer may still be loading.
+ */
+
+class DesignerCapabilities {
+  /**
+   * @param {function} inspect - Optional (tabId, names) => Promise of { wfType, methods } for the page;
+   *   defaults to chrome.scripting in the page's main world
+   */
+  constructor(inspect = null) {
+    this.logger = new Logger('DesignerCapabilities');
+    this.operations = CONFIG.designerApi.operations;
+    this.inspect = inspect || ((tabId, names) => this._inspectTab(tabId, names));
+    this.cache = new Map();
+
+    // Forget a tab's capabilities when it navigates or closes
+    if (typeof chrome !== 'undefined' && chrome.tabs?.onUpdated) {
+      chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+        if (changeInfo.url || changeInfo.status === 'loading') {
+          this.invalidate(tabId);
+        }
+      });
+      chrome.tabs.onRemoved.addListener(tabId => this.invalidate(tabId));
+    }
+  }
+
+  /**
+   * Get a tab's capabilities, probing if they aren't cached
+   * @param {number|string} tabId - The tab ID (or any key identifying the page)
+   * @param {object} options - Probe options
+   * @param {boolean} options.refresh - Probe even if a cached result exists
+   * @returns {Promise<object>} The capabilities
+   */
+  async get(tabId, { refresh = false } = {}) {
+    if (!refresh && this.cache.has(tabId)) {
+      return this.cache.get(tabId);
+    }
+
+    const names = [...new Set(Object.values(this.operations).flat())];
+    const { wfType, methods } = await this.inspect(tabId, names);
+
+    const operations = {};
+    Object.entries(this.operations).forEach(([operation, candidates]) => {
+      operations[operation] = candidates.find(name => methods[name]?.type === 'function') || null;
+    });
+
+    const capabilities = { wfType, methods, operations, probedAt: new Date().toISOString() };
+
+    if (wfType !== 'undefined') {
+      this.cache.set(tabId, capabilities);
+    }
+
+    this.logger.debug('Probed Designer capabilities', { tabId, wfType, operations });
+    return capabilities;
+  }
+
+  /**
+   * Get the wf method to use for an operation
+   * @param {number|string} tabId - The tab ID
+   * @param {string} operation - The operation ('export' or 'validate')
+   * @returns {Promise<string>} The wf method name
+   * @throws {Error} If the Designer exposes none of the operation's candidates
+   */
+  async resolve(tabId, operation) {
+    const candidates = this.operations[operation];
+    if (!candidates) {
+      throw new Error(`Unknown Designer operation: ${operation}`);
+    }
+
+    let capabilities = await this.get(tabId);
+    if (!capabilities.operations[operation] && this.cache.has(tabId)) {
+      // The cached probe may predate the API being attached; look once more
+      capabilities = await this.get(tabId, { refresh: true });
+    }
+
+    const method = capabilities.operations[operation];
+    if (!method) {
+      throw new Error(`No Designer API for ${operation} (tried ${candidates.map(name => `wf.${name}`).join(', ')})`);
+    }
+    return method;
+  }
+
+  /**
+   * Drop a tab's cached capabilities
+   * @param {number|string} tabId - The tab ID
+   */
+  invalidate(tabId) {
+    this.cache.delete(tabId);
+  }
+
+  /**
+   * Load the wf lookup (wfdlDesignerApi) into a tab's main world for injected functions that read wf
+   * @param {number} tabId - The tab ID
+   */
+  async injectApiLookup(tabId) {
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: [CONFIG.pageBridge.apiScript],
+      world: 'MAIN'
+    });
+  }
+
+  /**
+   * Inspect wf in a tab's main world with chrome.scripting
+   * @param {number} tabId - The tab ID
+   * @param {Array<string>} names - The wf method names to describe
+   * @returns {Promise<object>} { wfType, methods }
+   */
+  async _inspectTab(tabId, names) {
+    await this.injectApiLookup(tabId);
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      func: inspectDesignerApi,
+      args: [names],
+      world: 'MAIN'
+    });
+
+    const result = results[0]?.result;
+    if (!result) {
+      throw new Error('No result from capability probe');
+    }
+    return result;
+  }
+}
+
+/**
+ * Describe wf methods; injected into the page's main world after injectApiLookup()
+ * @param {Array<string>} names - The wf method names
+ * @returns {object} { wfType, methods: { [name]: { type, arity } } }
+ */
+function inspectDesignerApi(names) {
+  const wf = wfdlDesignerApi();
+  const methods = {};
+  names.forEach(name => {
+    const value = wf?.[name];
+    methods[name] = { type: typeof value, arity: typeof value === 'function' ? value.length : null };
+  });
+  return { wfType: typeof wf, methods };
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DesignerCapabilities;
+} else {
+  self.DesignerCapabilities = DesignerCapabilities;
+}
@@ -0,0 +1,164 @@
+/**
+ * (HTMLsummary, WDFL) generater - Designer Readiness Monitor
+ * Watches a Designer page until its wf APIs are usable, and notices when they go away
+ *
+ * The tab reports status 'complete' long before the Designer attaches `wf`, so readiness is
+ * decided by the capability probe: the page is ready once an export API resolves.
+ * While not ready the probe starts at CONFIG.readiness.pollInterval ms and backs off (pollBackoff,
+ * up to maxPollInterval); after giveUpAfter ms without wf it stops until whenReady() is called.
+ * Once ready it drops to CONFIG.readiness.watchInterval ms to notice the Designer unloading.
+ */
+
+class DesignerReadinessMonitor {
+  /**
+   * @param {function} probe - () => Promise of the page's capabilities (see DesignerCapabilities.get)
+   */
+  constructor(probe) {
+    this.logger = new Logger('ReadinessMonitor');
+    this.probe = probe;
+    this.settings = CONFIG.readiness;
+
+    this.ready = false;
+    this.capabilities = null;
+    this.running = false;
+    this.timer = null;
+    this.interval = this.settings.pollInterval;
+    this.waitingSince = null;
+    this.waiters = [];
+    this.listeners = { ready: [], gone: [] };
+  }
+
+  /**
+   * Start probing
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.interval = this.settings.pollInterval;
+    this.waitingSince = Date.now();
+    this.logger.info('Watching for Designer readiness');
+    this._check();
+  }
+
+  /**
+   * Stop probing and reject anyone still waiting; a later start() re-detects readiness
+   */
+  stop() {
+    this.running = false;
+    this.ready = false;
+    this.capabilities = null;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.waiters.forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Readiness monitor stopped'));
+    });
+    this.waiters = [];
+  }
+
+  /**
+   * Wait until the Designer is ready, probing again if the monitor had given up
+   * @param {number} timeout - Milliseconds to wait (default CONFIG.readiness.requestTimeout)
+   * @returns {Promise<object>} The capabilities once ready
+   */
+  whenReady(timeout = this.settings.requestTimeout) {
+    if (this.ready) {
+      return Promise.resolve(this.capabilities);
+    }
+
+    this.start();
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(other => other !== waiter);
+        reject(new Error(`Designer not ready after ${timeout}ms - wf APIs have not loaded`));
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Add an event listener
+   * @param {string} event - 'ready' (called with capabilities) or 'gone'
+   * @param {function} callback - The callback
+   */
+  on(event, callback) {
+    this.listeners[event].push(callback);
+  }
+
+  /**
+   * Probe once and schedule the next probe
+   */
+  async _check() {
+    let capabilities = null;
+    try {
+      capabilities = await this.probe();
+    } catch (error) {
+      this.logger.debug('Readiness probe failed', { error: error.message });
+    }
+
+    if (!this.running) {
+      return; // Stopped while the probe was in flight
+    }
+
+    const ready = Boolean(capabilities?.operations?.export);
+
+    if (ready && !this.ready) {
+      this.ready = true;
+      this.capabilities = capabilities;
+      this.logger.info('Designer is ready', { operations: capabilities.operations });
+
+      this.waiters.forEach(waiter => {
+        clearTimeout(waiter.timer);
+        waiter.resolve(capabilities);
+      });
+      this.waiters = [];
+      this._emit('ready', capabilities);
+    } else if (!ready && this.ready) {
+      this.ready = false;
+      this.capabilities = null;
+      this.interval = this.settings.pollInterval;
+      this.waitingSince = Date.now();
+      this.logger.warn('Designer wf APIs went away');
+      this._emit('gone');
+    }
+
+    if (this.ready) {
+      this.timer = setTimeout(() => this._check(), this.settings.watchInterval);
+      return;
+    }
+
+    if (Date.now() - this.waitingSince >= this.settings.giveUpAfter) {
+      this.running = false;
+      this.timer = null;
+      this.logger.info(`wf did not load within ${this.settings.giveUpAfter}ms; stopped probing`);
+      return;
+    }
+
+    this.timer = setTimeout(() => this._check(), this.interval);
+    this.interval = Math.min(this.interval * this.settings.pollBackoff, this.settings.maxPollInterval);
+  }
+
+  /**
+   * Emit an event to listeners
+   * @param {string} event - The event name
+   * @param {*} data - The event data
+   */
+  _emit(event, data) {
+    this.listeners[event].forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        this.logger.error('Error in readiness listener', { event, error: error.message });
+      }
+    });
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DesignerReadinessMonitor;
+} else {
+  self.DesignerReadinessMonitor = DesignerReadinessMonitor;
+}
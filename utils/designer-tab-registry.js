@@ -0,0 +1,168 @@
+/**
+ * (HTMLsummary, WDFL) generater - Designer Tab Registry
+ * Lists open Designer tabs with their site and page, remembers a pinned tab and picks tabs for requests
+ *
+ * Designer entry: { tabId, windowId, url, title, siteSlug, pageId, active, status, pinned }
+ *   siteSlug - from https://{slug}.design.webflow.com/ (or .design.wfdev.io, or webflow.com/design/{slug})
+ *   pageId   - the pageId query parameter, or null
+ *
+ * Selection order: an explicit target ({ tabId, siteSlug, pageId }), then the pinned tab,
+ * then the active Designer tab, then the first loaded Designer tab.
+ *
+ * The pin lives in chrome.storage.session, since tab ids are reused after a browser restart, and only
+ * matches while the tab still shows the pinned site. Closing the pinned tab removes the pin.
+ */
+
+class DesignerTabRegistry {
+  constructor() {
+    this.logger = new Logger('DesignerTabRegistry');
+    this.storageKey = 'pinnedDesignerTab';
+
+    if (typeof chrome !== 'undefined' && chrome.tabs?.onRemoved) {
+      chrome.tabs.onRemoved.addListener(async (tabId) => {
+        if ((await this.getPinned())?.tabId === tabId) {
+          await this.unpin();
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the site slug and page id from a Designer URL
+   * @param {string} url - The tab URL
+   * @returns {object} { siteSlug, pageId } (null when not present)
+   */
+  parseUrl(url) {
+    try {
+      const parsed = new URL(url);
+      const hostMatch = parsed.hostname.match(/^([^.]+)\.design\.(?:webflow\.com|wfdev\.io)$/);
+      const pathMatch = parsed.pathname.match(/^\/design\/([^/]+)/);
+      return {
+        siteSlug: hostMatch?.[1] || pathMatch?.[1] || null,
+        pageId: parsed.searchParams.get('pageId')
+      };
+    } catch (error) {
+      return { siteSlug: null, pageId: null };
+    }
+  }
+
+  /**
+   * List every open Designer tab
+   * @returns {Promise<Array<object>>} Designer entries, pinned tab first
+   */
+  async list() {
+    const [tabs, pinned, [activeTab]] = await Promise.all([
+      chrome.tabs.query({ url: CONFIG.designerUrls.patterns }),
+      this.getPinned(),
+      chrome.tabs.query({ active: true, currentWindow: true })
+    ]);
+
+    return tabs
+      .filter(tab => CONFIG.designerUrls.isDesignerPage(tab.url) && !tab.discarded)
+      .map(tab => ({
+        tabId: tab.id,
+        windowId: tab.windowId,
+        url: tab.url,
+        title: tab.title,
+        ...this.parseUrl(tab.url),
+        active: tab.id === activeTab?.id,
+        status: tab.status,
+        pinned: this._isPinned(tab, pinned)
+      }))
+      .sort((a, b) => Number(b.pinned) - Number(a.pinned));
+  }
+
+  /**
+   * Pick the Designer tab for a request
+   * @param {object} target - Optional { tabId, siteSlug, pageId } from the server
+   * @returns {Promise<object>} The Designer entry plus selectedBy ('target', 'pinned', 'active' or 'first')
+   * @throws {Error} If no Designer tab matches
+   */
+  async select(target = null) {
+    const designers = await this.list();
+    if (designers.length === 0) {
+      throw new Error('No Webflow Designer tabs found - validation requires Designer page');
+    }
+
+    if (target && (target.tabId || target.siteSlug || target.pageId)) {
+      const matches = designers.filter(designer =>
+        (!target.tabId || designer.tabId === Number(target.tabId)) &&
+        (!target.siteSlug || designer.siteSlug === target.siteSlug) &&
+        (!target.pageId || designer.pageId === target.pageId)
+      );
+      if (matches.length === 0) {
+        throw new Error(`No Designer tab matches ${JSON.stringify(target)}`);
+      }
+      // Several tabs can show the same site; prefer the loaded one
+      return this._selected(matches.find(designer => designer.status === 'complete') || matches[0], 'target');
+    }
+
+    const pinned = designers.find(designer => designer.pinned);
+    if (pinned) {
+      return this._selected(pinned, 'pinned');
+    }
+
+    const active = designers.find(designer => designer.active);
+    if (active) {
+      return this._selected(active, 'active');
+    }
+
+    return this._selected(designers.find(designer => designer.status === 'complete') || designers[0], 'first');
+  }
+
+  /**
+   * Get the pinned tab
+   * @returns {Promise<object|null>} { tabId, siteSlug, pageId }, or null if nothing is pinned
+   */
+  async getPinned() {
+    const stored = await chrome.storage.session.get(this.storageKey);
+    return stored[this.storageKey] || null;
+  }
+
+  /**
+   * Pin a Designer tab, so requests without a target go to it
+   * @param {number} tabId - The tab ID
+   */
+  async pin(tabId) {
+    const tab = await chrome.tabs.get(tabId);
+    const pinned = { tabId, ...this.parseUrl(tab.url) };
+    await chrome.storage.session.set({ [this.storageKey]: pinned });
+    this.logger.info('Pinned Designer tab', pinned);
+  }
+
+  /**
+   * Remove the pin
+   */
+  async unpin() {
+    await chrome.storage.session.remove(this.storageKey);
+    this.logger.info('Unpinned Designer tab');
+  }
+
+  /**
+   * Whether a tab is the pinned one and still shows the pinned site
+   * @param {object} tab - The chrome tab
+   * @param {object|null} pinned - The stored pin ({ tabId, siteSlug, pageId })
+   * @returns {boolean} True for the pinned tab
+   */
+  _isPinned(tab, pinned) {
+    return Boolean(pinned) && tab.id === pinned.tabId && this.parseUrl(tab.url).siteSlug === pinned.siteSlug;
+  }
+
+  /**
+   * Log and tag a selection
+   * @param {object} designer - The Designer entry
+   * @param {string} selectedBy - How it was chosen
+   * @returns {object} The entry with selectedBy
+   */
+  _selected(designer, selectedBy) {
+    this.logger.info('Selected Designer tab', { tabId: designer.tabId, siteSlug: designer.siteSlug, selectedBy });
+    return { ...designer, selectedBy };
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DesignerTabRegistry;
+} else {
+  self.DesignerTabRegistry = DesignerTabRegistry;
+}
@@ -0,0 +1,253 @@
+/**
+ * (HTMLsummary, WDFL) generater - LLM Providers
+ * Pluggable vision LLM providers used to summarize component screenshots
+ */
+
+const DEFAULT_SUMMARY_PROMPT = [
+  'You are helping me create training data for an AI that generates structured component code (WFDL) from visual summaries.',
+  'This image shows a UI component from a Webflow site. Please describe the layout, content, and structure in plain English as if you were labeling this component for training. Be concise but specific.',
+  'Avoid explaining *how* to code it — just describe *what* it is.',
+  'Output format: A short summary.'
+].join('\n');
+
+/**
+ * Base class for LLM providers
+ */
+class LLMProvider {
+  /**
+   * @param {object} settings - Provider settings ({ model, baseUrl, apiKey })
+   */
+  constructor(settings) {
+    this.model = settings.model;
+    this.baseUrl = (settings.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = settings.apiKey || '';
+  }
+
+  /**
+   * Summarize an image
+   * @param {string} base64Image - The image as a data URL or raw base64 string
+   * @param {string} prompt - The prompt text
+   * @returns {Promise<string>} The summary text
+   */
+  async summarizeImage(base64Image, prompt) {
+    throw new Error('summarizeImage() must be implemented by the provider');
+  }
+
+  /**
+   * Split an image into its MIME type and raw base64 data
+   * @param {string} base64Image - The image as a data URL or raw base64 string
+   * @returns {object} The image parts ({ mimeType, data, dataUrl })
+   */
+  _imageParts(base64Image) {
+    const match = base64Image.match(/^data:(image\/[a-z+]+);base64,/);
+    const mimeType = match ? match[1] : 'image/png';
+    const data = match ? base64Image.slice(match[0].length) : base64Image;
+    return { mimeType, data, dataUrl: `data:${mimeType};base64,${data}` };
+  }
+
+  /**
+   * POST JSON to the provider and return the parsed response
+   * @param {string} url - The endpoint URL
+   * @param {object} body - The request body
+   * @param {object} headers - Extra request headers
+   * @returns {Promise<object>} The response JSON
+   */
+  async _postJSON(url, body, headers = {}) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new Error(`${this.constructor.label} request error: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const errText = await response.text();
+      throw new Error(`${this.constructor.label} API call failed (${response.status}): ${errText}`);
+    }
+
+    return response.json();
+  }
+}
+
+/**
+ * Google Gemini (generateContent API)
+ */
+class GeminiProvider extends LLMProvider {
+  static label = 'Gemini';
+
+  async summarizeImage(base64Image, prompt) {
+    if (!this.apiKey) {
+      throw new Error('No Gemini API key found. Please save it in the extension.');
+    }
+
+    const { mimeType, data } = this._imageParts(base64Image);
+    const result = await this._postJSON(
+      `${this.baseUrl}/models/${encodeURIComponent(this.model)}:generateContent?key=${encodeURIComponent(this.apiKey)}`,
+      {
+        contents: [{
+          parts: [
+            { text: prompt },
+            { inline_data: { mime_type: mimeType, data } }
+          ]
+        }]
+      }
+    );
+
+    return result?.candidates?.[0]?.content?.parts?.[0]?.text || '';
+  }
+}
+
+/**
+ * Any OpenAI-compatible chat completions endpoint with vision support
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  static label = 'OpenAI-compatible';
+
+  async summarizeImage(base64Image, prompt) {
+    const { dataUrl } = this._imageParts(base64Image);
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+
+    const result = await this._postJSON(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          { type: 'image_url', image_url: { url: dataUrl } }
+        ]
+      }]
+    }, headers);
+
+    return result?.choices?.[0]?.message?.content || '';
+  }
+}
+
+/**
+ * Local Ollama server (chat API)
+ */
+class OllamaProvider extends LLMProvider {
+  static label = 'Ollama';
+
+  async summarizeImage(base64Image, prompt) {
+    const { data } = this._imageParts(base64Image);
+
+    const result = await this._postJSON(`${this.baseUrl}/api/chat`, {
+      model: this.model,
+      stream: false,
+      messages: [{ role: 'user', content: prompt, images: [data] }]
+    });
+
+    return result?.message?.content || '';
+  }
+}
+
+const LLM_PROVIDER_CLASSES = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  ollama: OllamaProvider
+};
+
+/**
+ * Loads provider settings and routes summarization to the selected provider
+ */
+class LLMService {
+  constructor() {
+    this.logger = new Logger('LLMService');
+  }
+
+  /**
+   * Get the stored LLM settings merged with the configured defaults
+   * @returns {Promise<object>} The settings ({ provider, providers: { [name]: { model, baseUrl, apiKey } } })
+   */
+  async getSettings() {
+    const { llmSettings, geminiApiKey } = await chrome.storage.local.get(['llmSettings', 'geminiApiKey']);
+    const stored = llmSettings || {};
+
+    const providers = {};
+    Object.entries(CONFIG.llm.providers).forEach(([name, defaults]) => {
+      providers[name] = {
+        model: defaults.model,
+        baseUrl: defaults.baseUrl,
+        apiKey: '',
+        ...(stored.providers?.[name] || {})
+      };
+    });
+
+    // Keys saved before the provider layer existed
+    if (geminiApiKey && !providers.gemini.apiKey) {
+      providers.gemini.apiKey = geminiApiKey;
+    }
+
+    return {
+      provider: stored.provider || CONFIG.llm.defaultProvider,
+      providers
+    };
+  }
+
+  /**
+   * Save LLM settings
+   * @param {object} settings - The settings from getSettings(), modified
+   */
+  async saveSettings(settings) {
+    await chrome.storage.local.set({ llmSettings: settings });
+    this.logger.info('LLM settings saved', { provider: settings.provider });
+  }
+
+  /**
+   * Create the provider instance for the given (or currently selected) provider
+   * @param {string} name - The provider name; defaults to the selected provider
+   * @returns {Promise<LLMProvider>} The provider
+   */
+  async createProvider(name = null) {
+    const settings = await this.getSettings();
+    const providerName = name || settings.provider;
+    const ProviderClass = LLM_PROVIDER_CLASSES[providerName];
+
+    if (!ProviderClass) {
+      throw new Error(`Unknown LLM provider: ${providerName}`);
+    }
+
+    return new ProviderClass(settings.providers[providerName]);
+  }
+
+  /**
+   * Summarize a component screenshot with the selected provider
+   * @param {string} base64Image - The screenshot as a data URL
+   * @param {string} prompt - The prompt text
+   * @returns {Promise<string>} The summary text
+   */
+  async summarizeScreenshot(base64Image, prompt = DEFAULT_SUMMARY_PROMPT) {
+    const provider = await this.createProvider();
+    this.logger.debug('Summarizing screenshot', { provider: provider.constructor.label, model: provider.model });
+
+    const summary = await provider.summarizeImage(base64Image, prompt);
+    return summary || 'No summary returned';
+  }
+
+  /**
+   * Summarize a component screenshot with a library's active prompt template
+   * @param {string} screenshot - The screenshot as a data URL
+   * @param {object} component - The component ({ cid, wfdl, context })
+   * @param {PromptLibrary} promptLibrary - The library holding the active template
+   * @returns {Promise<object>} The summary and the prompt that produced it ({ summary, promptId, promptVersion })
+   */
+  async summarizeComponent(screenshot, component, promptLibrary) {
+    const template = await promptLibrary.getActive();
+    const prompt = promptLibrary.render(template, promptLibrary.buildVariables(component));
+    const summary = await this.summarizeScreenshot(screenshot, prompt);
+
+    return { summary, promptId: template.id, promptVersion: template.version };
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LLMService, LLMProvider, GeminiProvider, OpenAICompatibleProvider, OllamaProvider, DEFAULT_SUMMARY_PROMPT };
+} else {
+  self.LLMService = LLMService;
+  self.DEFAULT_SUMMARY_PROMPT = DEFAULT_SUMMARY_PROMPT;
+}
@@ -87,9 +87,9 @@ class Logger {
       consoleMethod(logMessage);
     }
 
-    // UI logging (for popup)
-    if (typeof window !== 'undefined' && window.logToUI) {
-      window.logToUI(message, level, data);
+    // UI logging (the popup, and the background's log stream to the popup)
+    if (typeof self !== 'undefined' && self.logToUI) {
+      self.logToUI(message, level, data);
     }
   }
 
@@ -109,5 +109,5 @@ class Logger {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = Logger;
 } else {
-  window.Logger = Logger;
+  self.Logger = Logger; // self is window in pages and the global scope in the service worker
 }
@@ -0,0 +1,134 @@
+/**
+ * (HTMLsummary, WDFL) generater - Multi-Tab Exporter
+ * Runs the training-data export on every loaded Designer tab and merges the results
+ *
+ * Merged components are keyed "{siteSlug}/{pageId}/{cid}" ("default" when the URL has no pageId;
+ * the host name when it has no site slug), so the same cid on different sites or pages never collides.
+ */
+
+class MultiTabExporter {
+  /**
+   * @param {object} options - Exporter dependencies
+   * @param {DesignerTabRegistry} options.registry - Lists the Designer tabs
+   * @param {function} options.exportTab - (tabId) => Promise of { context, components } for one tab
+   */
+  constructor({ registry, exportTab }) {
+    this.logger = new Logger('MultiTabExporter');
+    this.registry = registry;
+    this.exportTab = exportTab;
+  }
+
+  /**
+   * Export every loaded Designer tab
+   * @param {object} options - Run options
+   * @param {number} options.concurrency - Maximum tabs exported at once (default, and fallback for values
+   *   that aren't a number, CONFIG.multiTabExport.concurrency)
+   * @param {function} options.onProgress - Optional callback receiving ({ tab, done, total }) as each tab
+   *   finishes (awaited); tab is the per-tab result including its components
+   * @returns {Promise<object>} { components, tabs, total, succeeded, failed, startedAt, finishedAt }
+   * @throws {Error} If no Designer tab has finished loading
+   */
+  async run({ concurrency = CONFIG.multiTabExport.concurrency, onProgress = null } = {}) {
+    const startedAt = new Date().toISOString();
+    const designers = (await this.registry.list()).filter(designer => designer.status === 'complete');
+    if (designers.length === 0) {
+      throw new Error('No loaded Webflow Designer tabs found');
+    }
+
+    // The server may send the limit as a string, or something that isn't a number at all
+    const limit = Number(concurrency);
+    concurrency = Number.isFinite(limit) ? Math.floor(limit) : CONFIG.multiTabExport.concurrency;
+
+    this.logger.info(`Exporting ${designers.length} Designer tabs`, { concurrency });
+
+    const tabs = new Array(designers.length);
+    let next = 0;
+    let done = 0;
+
+    // A fixed pool of workers, each taking the next tab until none are left
+    const worker = async () => {
+      while (next < designers.length) {
+        const index = next++;
+        tabs[index] = await this._exportOne(designers[index]);
+        done++;
+        if (onProgress) {
+          await onProgress({ tab: tabs[index], done, total: designers.length });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(Math.max(concurrency, 1), designers.length) }, worker));
+
+    const components = {};
+    tabs.forEach(tab => {
+      Object.entries(tab.components || {}).forEach(([cid, wfdl]) => {
+        components[this.key(tab, cid)] = wfdl;
+      });
+    });
+
+    const result = {
+      components,
+      tabs: tabs.map(({ components: tabComponents, ...tab }) => tab),
+      total: Object.keys(components).length,
+      succeeded: tabs.filter(tab => tab.success).length,
+      failed: tabs.filter(tab => !tab.success).length,
+      startedAt,
+      finishedAt: new Date().toISOString()
+    };
+
+    this.logger.info('Multi-tab export finished', {
+      tabs: designers.length,
+      components: result.total,
+      failed: result.failed
+    });
+
+    return result;
+  }
+
+  /**
+   * Build the merged key for a component
+   * @param {object} tab - The per-tab result ({ siteSlug, pageId, url })
+   * @param {string} cid - The component id
+   * @returns {string} "{site}/{page}/{cid}"
+   */
+  key(tab, cid) {
+    let site = tab.siteSlug;
+    if (!site) {
+      try {
+        site = new URL(tab.url).hostname;
+      } catch (error) {
+        site = `tab-${tab.tabId}`;
+      }
+    }
+    return `${site}/${tab.pageId || 'default'}/${cid}`;
+  }
+
+  /**
+   * Export one tab, catching its errors into the breakdown
+   * @param {object} designer - The Designer entry from the registry
+   * @returns {Promise<object>} { tabId, siteSlug, pageId, url, title, success, count, error, components }
+   */
+  async _exportOne(designer) {
+    const tab = {
+      tabId: designer.tabId,
+      siteSlug: designer.siteSlug,
+      pageId: designer.pageId,
+      url: designer.url,
+      title: designer.title
+    };
+
+    try {
+      const { components } = await this.exportTab(designer.tabId);
+      return { ...tab, success: true, count: Object.keys(components || {}).length, error: null, components: components || {} };
+    } catch (error) {
+      this.logger.warn('Tab export failed', { tabId: designer.tabId, error: error.message });
+      return { ...tab, success: false, count: 0, error: error.message, components: {} };
+    }
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MultiTabExporter;
+} else {
+  self.MultiTabExporter = MultiTabExporter;
+}
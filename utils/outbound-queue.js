@@ -0,0 +1,154 @@
+/**
+ * (HTMLsummary, WDFL) generater - Outbound Queue
+ * Persistent queue for server messages that could not be delivered
+ *
+ * Entries are kept in chrome.storage.local, so they survive the service worker being suspended
+ * and the browser restarting. A message with the same requestId as a queued one replaces it in
+ * place (the newest result wins). flush() sends entries oldest first and stops at the first one
+ * that still can't be delivered, so the server sees them in order. An entry that fails
+ * CONFIG.outboundQueue.maxAttempts flushes is dropped so it doesn't block the queue for good.
+ *
+ * Entry: { id, requestId, type, message, queuedAt, attempts }
+ */
+
+class OutboundQueue {
+  /**
+   * @param {object} options - Overrides for CONFIG.outboundQueue ({ storageKey, maxEntries, maxAttempts })
+   */
+  constructor(options = {}) {
+    this.logger = new Logger('OutboundQueue');
+    this.settings = { ...CONFIG.outboundQueue, ...options };
+    this.listeners = { change: [] };
+
+    // Storage updates are read-modify-write, so they run one at a time
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * Add a message, replacing a queued message with the same requestId
+   * @param {object} message - The message to deliver later
+   * @returns {Promise<number>} The queue length
+   */
+  enqueue(message) {
+    return this._update(entries => {
+      const entry = {
+        id: crypto.randomUUID(),
+        requestId: message.requestId ?? null,
+        type: message.type,
+        message,
+        queuedAt: new Date().toISOString(),
+        attempts: 0
+      };
+
+      const index = entry.requestId === null ? -1 : entries.findIndex(queued => queued.requestId === entry.requestId);
+      if (index > -1) {
+        entries[index] = entry;
+        this.logger.info('Replaced queued message', { type: entry.type, requestId: entry.requestId });
+      } else {
+        entries.push(entry);
+        this.logger.info('Queued message', { type: entry.type, requestId: entry.requestId, pending: entries.length });
+      }
+
+      if (entries.length > this.settings.maxEntries) {
+        const dropped = entries.splice(0, entries.length - this.settings.maxEntries);
+        this.logger.warn(`Outbound queue full, dropped ${dropped.length} oldest messages`);
+      }
+      return entries;
+    }).then(entries => entries.length);
+  }
+
+  /**
+   * Send queued messages in order
+   * @param {function} send - (message) => Promise of true once the message is delivered
+   * @returns {Promise<number>} How many messages were delivered
+   */
+  async flush(send) {
+    let delivered = 0;
+
+    while (true) {
+      const [entry] = await this.list();
+      if (!entry) {
+        break;
+      }
+
+      if (!(await send(entry.message))) {
+        const attempts = (entry.attempts || 0) + 1;
+        if (attempts >= this.settings.maxAttempts) {
+          await this._update(entries => entries.filter(queued => queued.id !== entry.id));
+          this.logger.warn(`Dropped ${entry.type} after ${attempts} failed attempts`, { requestId: entry.requestId });
+          continue;
+        }
+
+        await this._update(entries => entries.map(queued => (queued.id === entry.id ? { ...queued, attempts } : queued)));
+        this.logger.info('Flush stopped; message still undeliverable', { type: entry.type, requestId: entry.requestId, attempts });
+        break;
+      }
+
+      // Remove exactly this entry; a replacement queued while sending stays
+      await this._update(entries => entries.filter(queued => queued.id !== entry.id));
+      delivered++;
+    }
+
+    if (delivered) {
+      this.logger.info(`Flushed ${delivered} queued messages`);
+    }
+    return delivered;
+  }
+
+  /**
+   * Get the queued entries, oldest first
+   * @returns {Promise<Array<object>>} The entries
+   */
+  async list() {
+    const stored = await chrome.storage.local.get(this.settings.storageKey);
+    return stored[this.settings.storageKey] || [];
+  }
+
+  /**
+   * Drop every queued message
+   */
+  clear() {
+    return this._update(() => []);
+  }
+
+  /**
+   * Add an event listener
+   * @param {string} event - 'change' (called with the entries)
+   * @param {function} callback - The callback
+   */
+  on(event, callback) {
+    this.listeners[event].push(callback);
+  }
+
+  /**
+   * Read, change and write the entries under the lock, then notify listeners
+   * @param {function} change - (entries) => new entries
+   * @returns {Promise<Array<object>>} The new entries
+   */
+  _update(change) {
+    const run = this.lock.then(async () => {
+      const entries = change(await this.list());
+      await chrome.storage.local.set({ [this.settings.storageKey]: entries });
+
+      this.listeners.change.forEach(callback => {
+        try {
+          callback(entries);
+        } catch (error) {
+          this.logger.error('Error in queue listener', { error: error.message });
+        }
+      });
+      return entries;
+    });
+
+    // Keep the chain going after a failed update
+    this.lock = run.catch(() => {});
+    return run;
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OutboundQueue;
+} else {
+  self.OutboundQueue = OutboundQueue;
+}
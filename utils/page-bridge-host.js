@@ -0,0 +1,77 @@
+/**
+ * (HTMLsummary, WDFL) generater - Page Bridge Host
+ * Runs in the Designer page's main world and answers PageBridge requests
+ *
+ * Injected by PageBridge as a web-accessible script, after utils/designer-api.js, whose
+ * wfdlDesignerApi() finds wf. The event names come from the script tag's data-request-event /
+ * data-response-event attributes. Event details are JSON strings, since objects don't cross
+ * from the page to the content script's world.
+ *
+ * Request:  { id, op: 'call', method, args }  - calls wf[method](...args), awaiting promises
+ *           { id, op: 'inspect', names }      - describes wf and each wf[name] ({ wfType, methods: { [name]: { type, arity } } })
+ * Response: { id, success: true, data } or { id, success: false, error, code }
+ *           code is 'unavailable' when wf or the method is missing, 'page_error' when the call threw
+ */
+
+(function () {
+  const script = document.currentScript;
+  const requestEvent = script.dataset.requestEvent;
+  const responseEvent = script.dataset.responseEvent;
+
+  // Only one host per page, even if the content script is reloaded
+  if (window.__wfdlPageBridgeHost) {
+    return;
+  }
+  window.__wfdlPageBridgeHost = true;
+
+  const respond = (response) => {
+    let detail;
+    try {
+      detail = JSON.stringify(response);
+    } catch (error) {
+      detail = JSON.stringify({ id: response.id, success: false, error: `Result is not serializable: ${error.message}` });
+    }
+    document.dispatchEvent(new CustomEvent(responseEvent, { detail }));
+  };
+
+  const handle = async (request) => {
+    const wf = wfdlDesignerApi();
+
+    if (request.op === 'inspect') {
+      const methods = {};
+      (request.names || []).forEach(name => {
+        const value = wf?.[name];
+        methods[name] = { type: typeof value, arity: typeof value === 'function' ? value.length : null };
+      });
+      return { wfType: typeof wf, methods };
+    }
+
+    if (request.op === 'call') {
+      if (typeof wf === 'undefined' || typeof wf[request.method] !== 'function') {
+        throw Object.assign(new Error(`wf.${request.method} not available in page context`), { code: 'unavailable' });
+      }
+      const result = await wf[request.method](...(request.args || []));
+      return result === undefined ? null : result;
+    }
+
+    throw new Error(`Unknown bridge operation: ${request.op}`);
+  };
+
+  document.addEventListener(requestEvent, async (event) => {
+    let request;
+    try {
+      request = JSON.parse(event.detail);
+    } catch (error) {
+      return; // Not one of ours
+    }
+
+    try {
+      respond({ id: request.id, success: true, data: await handle(request) });
+    } catch (error) {
+      respond({ id: request.id, success: false, error: error?.message || String(error), code: error?.code || 'page_error' });
+    }
+  });
+
+  // Visible to content scripts, so a reloaded content script doesn't inject a second host
+  document.documentElement.dataset.wfdlBridge = 'ready';
+})();
@@ -0,0 +1,171 @@
+/**
+ * (HTMLsummary, WDFL) generater - Page Bridge
+ * Request/response channel from the content script to the Designer page's main world
+ *
+ * The content script can't see the page's `wf` object, so PageBridge injects
+ * utils/page-bridge-host.js into the page once and talks to it with CustomEvents.
+ * Every call gets its own id and timeout, so concurrent calls don't overwrite each other
+ * and slow (promise-returning) wf APIs are awaited instead of polled.
+ *
+ * Failed calls reject with an Error whose code is 'unavailable' (wf or the method is missing),
+ * 'page_error' (the wf call threw) or 'timeout'.
+ */
+
+class PageBridge {
+  /**
+   * @param {object} options - Overrides for CONFIG.pageBridge
+   */
+  constructor(options = {}) {
+    this.logger = new Logger('PageBridge');
+    this.settings = { ...CONFIG.pageBridge, ...options };
+    this.pending = new Map();
+    this.nextId = 0;
+    this.hostPromise = null;
+
+    this.handleResponse = this.handleResponse.bind(this);
+    document.addEventListener(this.settings.responseEvent, this.handleResponse);
+  }
+
+  /**
+   * Call a wf API in the page
+   * @param {string} method - The wf method name (e.g. 'exportTrainingData')
+   * @param {Array} args - Arguments; must be JSON-serializable
+   * @param {object} options - Call options
+   * @param {number} options.timeout - Milliseconds to wait for the result (default CONFIG.pageBridge.timeout)
+   * @returns {Promise<*>} The method's (awaited) return value
+   */
+  call(method, args = [], { timeout = this.settings.timeout } = {}) {
+    return this._request({ op: 'call', method, args }, timeout);
+  }
+
+  /**
+   * Report which wf APIs exist in the page
+   * @param {Array<string>} names - The wf method names to look up
+   * @param {object} options - Call options ({ timeout })
+   * @returns {Promise<object>} { wfType, methods: { [name]: { type, arity } } }
+   */
+  inspect(names, { timeout = this.settings.timeout } = {}) {
+    return this._request({ op: 'inspect', names }, timeout);
+  }
+
+  /**
+   * Stop listening and reject every pending call
+   */
+  dispose() {
+    document.removeEventListener(this.settings.responseEvent, this.handleResponse);
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error('Page bridge disposed'));
+    });
+    this.pending.clear();
+  }
+
+  /**
+   * Settle the pending call a host response belongs to
+   * @param {CustomEvent} event - The response event (detail is a JSON string)
+   */
+  handleResponse(event) {
+    let response;
+    try {
+      response = JSON.parse(event.detail);
+    } catch (error) {
+      return;
+    }
+
+    const call = this.pending.get(response.id);
+    if (!call) {
+      return; // Another bridge instance's call, or one that already timed out
+    }
+
+    clearTimeout(call.timer);
+    this.pending.delete(response.id);
+
+    if (response.success) {
+      call.resolve(response.data);
+    } else {
+      call.reject(Object.assign(new Error(response.error), { code: response.code }));
+    }
+  }
+
+  /**
+   * Send a request to the host and wait for its response
+   * @param {object} request - The request without id
+   * @param {number} timeout - Milliseconds to wait
+   * @returns {Promise<*>} The response data
+   */
+  async _request(request, timeout) {
+    await this._ensureHost();
+
+    const id = `${Date.now().toString(36)}-${++this.nextId}-${Math.random().toString(36).slice(2, 8)}`;
+    const label = request.method ? `wf.${request.method}` : request.op;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(Object.assign(new Error(`Page bridge ${label} timed out after ${timeout}ms`), { code: 'timeout' }));
+      }, timeout);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.logger.debug('Bridge request', { id, op: request.op, method: request.method });
+
+      document.dispatchEvent(new CustomEvent(this.settings.requestEvent, {
+        detail: JSON.stringify({ ...request, id })
+      }));
+    });
+  }
+
+  /**
+   * Inject the host script (after the wf lookup it uses) into the page once
+   * @returns {Promise<void>} Resolves when the host is listening
+   */
+  _ensureHost() {
+    if (document.documentElement.dataset.wfdlBridge === 'ready') {
+      return Promise.resolve();
+    }
+
+    if (!this.hostPromise) {
+      this.hostPromise = this._injectScript(this.settings.apiScript)
+        .then(() => this._injectScript(this.settings.hostScript, {
+          requestEvent: this.settings.requestEvent,
+          responseEvent: this.settings.responseEvent
+        }))
+        .then(() => this.logger.debug('Page bridge host injected'))
+        .catch(error => {
+          this.hostPromise = null;
+          throw error;
+        });
+    }
+
+    return this.hostPromise;
+  }
+
+  /**
+   * Run an extension script in the page's main world
+   * @param {string} path - The web-accessible script path
+   * @param {object} dataset - data-* attributes for the script tag
+   * @returns {Promise<void>} Resolves once the script has run
+   */
+  _injectScript(path, dataset = {}) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = chrome.runtime.getURL(path);
+      Object.assign(script.dataset, dataset);
+      script.onload = () => {
+        script.remove();
+        resolve();
+      };
+      script.onerror = () => {
+        script.remove();
+        reject(new Error(`Failed to inject ${path} into the page`));
+      };
+      (document.head || document.documentElement).appendChild(script);
+    });
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PageBridge;
+} else {
+  self.PageBridge = PageBridge;
+}
@@ -0,0 +1,188 @@
+/**
+ * (HTMLsummary, WDFL) generater - Pair Deduplicator
+ * Finds exact and structural near-duplicate components across the pair store
+ *
+ * Exact duplicates share a canonical WFDL hash (wfdlHash). Near-duplicates are compared by
+ * the Jaccard similarity of their structural shingles: every root-to-node path of element
+ * names (with attribute names), counted per occurrence, so text, ids and attribute values don't matter.
+ */
+
+class PairDeduplicator {
+  constructor() {
+    this.logger = new Logger('PairDeduplicator');
+    this.parser = new WFDLParser();
+    this.threshold = CONFIG.deduplication.similarityThreshold;
+  }
+
+  /**
+   * Group duplicate pairs
+   * @param {Array<object>} pairs - The pair records
+   * @returns {Array<object>} Groups ({ kind: 'exact' | 'near', similarity, representative, pairs }),
+   *   each with at least two pairs; the representative is listed first
+   */
+  findGroups(pairs) {
+    const parent = pairs.map((pair, index) => index);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+    const union = (a, b) => {
+      parent[find(a)] = find(b);
+    };
+
+    // Exact duplicates by canonical hash (falls back to the WFDL text)
+    const byHash = new Map();
+    pairs.forEach((pair, index) => {
+      const key = pair.wfdlHash || pair.wfdl;
+      if (!key) return;
+      if (byHash.has(key)) {
+        union(index, byHash.get(key));
+      } else {
+        byHash.set(key, index);
+      }
+    });
+
+    // Near duplicates by structural similarity, one comparison per distinct hash
+    const shingles = new Map();
+    byHash.forEach(index => shingles.set(index, this.shingles(pairs[index].wfdl)));
+
+    const minSimilarity = new Map();
+    const keys = Array.from(shingles.keys());
+    for (let i = 0; i < keys.length; i++) {
+      for (let j = i + 1; j < keys.length; j++) {
+        const similarity = this.similarity(shingles.get(keys[i]), shingles.get(keys[j]));
+        if (similarity >= this.threshold) {
+          union(keys[i], keys[j]);
+          [keys[i], keys[j]].forEach(index => {
+            minSimilarity.set(index, Math.min(minSimilarity.get(index) ?? 1, similarity));
+          });
+        }
+      }
+    }
+
+    const members = new Map();
+    pairs.forEach((pair, index) => {
+      const root = find(index);
+      if (!members.has(root)) members.set(root, []);
+      members.get(root).push(index);
+    });
+
+    const groups = [];
+    members.forEach(indexes => {
+      if (indexes.length < 2) return;
+
+      const groupPairs = indexes.map(index => pairs[index]);
+      const hashes = new Set(groupPairs.map(pair => pair.wfdlHash || pair.wfdl));
+      const similarity = hashes.size === 1
+        ? 1
+        : Math.min(...indexes.map(index => minSimilarity.get(index) ?? 1));
+
+      const representative = this.chooseRepresentative(groupPairs);
+      groups.push({
+        kind: hashes.size === 1 ? 'exact' : 'near',
+        similarity,
+        representative,
+        pairs: [representative, ...groupPairs.filter(pair => pair !== representative)]
+      });
+    });
+
+    this.logger.info(`Found ${groups.length} duplicate groups`, {
+      exact: groups.filter(group => group.kind === 'exact').length,
+      near: groups.filter(group => group.kind === 'near').length
+    });
+
+    return groups;
+  }
+
+  /**
+   * Drop every duplicate except each group's representative
+   * @param {Array<object>} pairs - The pair records
+   * @returns {Array<object>} The pairs without duplicates, in their original order
+   */
+  removeDuplicates(pairs) {
+    const dropped = new Set();
+    this.findGroups(pairs).forEach(group => {
+      group.pairs.slice(1).forEach(pair => dropped.add(pair));
+    });
+    return pairs.filter(pair => !dropped.has(pair));
+  }
+
+  /**
+   * Pick the pair to keep: accepted over pending over rejected, then with a summary, then the oldest
+   * @param {Array<object>} pairs - The pairs in a group
+   * @returns {object} The representative pair
+   */
+  chooseRepresentative(pairs) {
+    const statusRank = { accepted: 0, pending: 1, rejected: 2 };
+    return pairs.slice().sort((a, b) =>
+      (statusRank[a.reviewStatus || 'pending'] - statusRank[b.reviewStatus || 'pending']) ||
+      (Number(!a.summary) - Number(!b.summary)) ||
+      String(a.timestamp).localeCompare(String(b.timestamp))
+    )[0];
+  }
+
+  /**
+   * Compute structural shingles for WFDL
+   * @param {string} wfdl - The WFDL source
+   * @returns {Set<string>} Root-to-node paths of element names and attribute names
+   */
+  shingles(wfdl) {
+    const { ast } = this.parser.tryParse(wfdl || '');
+    const result = new Set();
+
+    if (!ast) {
+      // Unparseable WFDL: fall back to normalized lines
+      (wfdl || '').split('\n').forEach(line => {
+        if (line.trim()) result.add(line.trim());
+      });
+      return result;
+    }
+
+    // Repeated paths are numbered so a list of five links differs from a list of one
+    const counts = new Map();
+    const add = (shingle) => {
+      const count = (counts.get(shingle) || 0) + 1;
+      counts.set(shingle, count);
+      result.add(count === 1 ? shingle : `${shingle}~${count}`);
+    };
+
+    const visit = (node, path) => {
+      if (node.type !== 'Element') {
+        if (node.type === 'Text' || node.type === 'Expression') add(`${path}/#${node.type.toLowerCase()}`);
+        return;
+      }
+      const attributeNames = node.attributes.map(attribute => attribute.name).sort().join(',');
+      const nodePath = `${path}/${node.name}[${attributeNames}]`;
+      add(nodePath);
+      node.children.forEach(child => visit(child, nodePath));
+    };
+    ast.children.forEach(child => visit(child, ''));
+
+    return result;
+  }
+
+  /**
+   * Jaccard similarity of two shingle sets
+   * @param {Set<string>} a - First set
+   * @param {Set<string>} b - Second set
+   * @returns {number} Similarity between 0 and 1
+   */
+  similarity(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    let shared = 0;
+    a.forEach(shingle => {
+      if (b.has(shingle)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PairDeduplicator;
+} else {
+  self.PairDeduplicator = PairDeduplicator;
+}
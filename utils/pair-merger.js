@@ -0,0 +1,124 @@
+/**
+ * (HTMLsummary, WDFL) generater - Pair Merger
+ * Merges imported pairs into the local pair store and tracks conflicts
+ */
+
+class PairMerger {
+  constructor(pairStore) {
+    this.logger = new Logger('PairMerger');
+    this.pairStore = pairStore;
+
+    // Fields that must agree for an imported pair to merge cleanly
+    this.comparedFields = ['summary', 'wfdl'];
+
+    // Fields that travel with a compared field when it is taken from the import
+    this.linkedFields = {
+      summary: ['promptId', 'promptVersion', 'reviewStatus', 'reviewNotes'],
+      wfdl: ['validation']
+    };
+  }
+
+  /**
+   * Merge imported pairs into the store, matched by cid and source URL.
+   * Conflicting pairs are left untouched and returned for resolution.
+   * @param {Array<object>} pairs - The imported pair data
+   * @returns {Promise<object>} Merge report ({ added, filled, unchanged, conflicts })
+   */
+  async merge(pairs) {
+    const report = { added: 0, filled: 0, unchanged: 0, conflicts: [] };
+
+    for (const pair of pairs) {
+      // Compare canonical WFDL so formatting and generated ids don't cause conflicts
+      const incoming = await this.pairStore.normalize(pair);
+      const local = await this.pairStore.findByComponent(incoming.cid, incoming.sourceUrl);
+
+      if (!local) {
+        await this.pairStore.create(incoming);
+        report.added++;
+        continue;
+      }
+
+      const conflictingFields = [];
+      const filledFields = {};
+
+      this.comparedFields.forEach(field => {
+        const localValue = local[field] || '';
+        const incomingValue = incoming[field] || '';
+
+        if (localValue === incomingValue || !incomingValue) {
+          return;
+        }
+
+        if (!localValue) {
+          Object.assign(filledFields, this._takeField(incoming, field));
+        } else {
+          conflictingFields.push(field);
+        }
+      });
+
+      if (conflictingFields.length) {
+        report.conflicts.push({ local, incoming, fields: conflictingFields });
+      } else if (Object.keys(filledFields).length) {
+        await this.pairStore.update(local.id, filledFields);
+        report.filled++;
+      } else {
+        report.unchanged++;
+      }
+    }
+
+    this.logger.info('Merge completed', {
+      added: report.added,
+      filled: report.filled,
+      unchanged: report.unchanged,
+      conflicts: report.conflicts.length
+    });
+
+    return report;
+  }
+
+  /**
+   * Resolve a merge conflict
+   * @param {object} conflict - A conflict from merge()
+   * @param {string} choice - 'local' to keep the stored pair, 'incoming' to take the imported values
+   * @returns {Promise<object>} The resulting pair record
+   */
+  async resolve(conflict, choice) {
+    if (choice === 'local') {
+      return conflict.local;
+    }
+
+    if (choice !== 'incoming') {
+      throw new Error(`Unknown conflict resolution: ${choice}`);
+    }
+
+    const changes = {};
+    conflict.fields.forEach(field => {
+      Object.assign(changes, this._takeField(conflict.incoming, field));
+    });
+
+    const record = await this.pairStore.update(conflict.local.id, changes);
+    this.logger.info('Conflict resolved with imported values', { cid: record.cid });
+    return record;
+  }
+
+  /**
+   * Collect an imported field together with its linked fields
+   * @param {object} incoming - The imported pair
+   * @param {string} field - The compared field
+   * @returns {object} The changes to apply
+   */
+  _takeField(incoming, field) {
+    const changes = { [field]: incoming[field] };
+    (this.linkedFields[field] || []).forEach(linked => {
+      changes[linked] = incoming[linked] ?? null;
+    });
+    return changes;
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PairMerger;
+} else {
+  self.PairMerger = PairMerger;
+}
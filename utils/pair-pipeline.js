@@ -0,0 +1,135 @@
+/**
+ * (HTMLsummary, WDFL) generater - Pair Generation Pipeline
+ * Chains export, validation, screenshot capture, summarization and storage for a Designer page
+ */
+
+class PairGenerationPipeline {
+  /**
+   * @param {object} options - Pipeline dependencies
+   * @param {function} options.exportComponents - (tabId) => Promise of { context, components }
+   * @param {ScreenshotCapturer} options.capturer - Captures per-component screenshots
+   * @param {function} options.summarize - (screenshot, component) => Promise of { summary, promptId, promptVersion }
+   * @param {function} options.validateComponents - Optional (tabId, components) => Promise of a cid to
+   *   validation map ({ valid, diagnostics, validatedAt }), or of null to skip validation
+   * @param {PairStore} options.pairStore - Where finished pairs are saved
+   */
+  constructor({ exportComponents, capturer, summarize, validateComponents = null, pairStore }) {
+    this.logger = new Logger('PairPipeline');
+    this.exportComponents = exportComponents;
+    this.capturer = capturer;
+    this.summarize = summarize;
+    this.validateComponents = validateComponents;
+    this.pairStore = pairStore;
+  }
+
+  /**
+   * Generate pairs for every component on a Designer page
+   * @param {number} tabId - The Designer tab ID
+   * @param {function} onProgress - Optional callback receiving { stage, cid, index, total, message }
+   * @returns {Promise<object>} The run report
+   */
+  async run(tabId, onProgress = null) {
+    const progress = (update) => {
+      if (onProgress) {
+        onProgress(update);
+      }
+    };
+
+    const report = {
+      tabId,
+      context: null,
+      components: {},
+      screenshots: {},
+      total: 0,
+      completed: 0,
+      invalid: [],
+      failures: [],
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+
+    // 1. Export the page's components
+    progress({ stage: 'export', message: 'Exporting components...' });
+    const { context, components } = await this.exportComponents(tabId);
+    const cids = Object.keys(components);
+
+    report.context = context;
+    report.components = components;
+    report.total = cids.length;
+    this.logger.info(`Pipeline exporting ${cids.length} components`, { tabId });
+
+    // 2. Round-trip the WFDL through wf.validateWFDL
+    let validations = null;
+    if (this.validateComponents && cids.length) {
+      progress({ stage: 'validate', message: 'Validating components...' });
+      try {
+        validations = await this.validateComponents(tabId, components);
+      } catch (error) {
+        report.failures.push({ cid: null, stage: 'validate', error: error.message });
+      }
+    }
+
+    // 3. Capture a screenshot per component
+    const captures = await this.capturer.captureComponents(tabId, cids, (cid, index, total) => {
+      progress({ stage: 'capture', cid, index, total, message: `Capturing ${index + 1}/${total} (${cid})` });
+    });
+
+    // 4. Summarize and save each component
+    for (let index = 0; index < cids.length; index++) {
+      const cid = cids[index];
+      const capture = captures[cid];
+      const pair = { cid, wfdl: components[cid], sourceUrl: context.url };
+
+      if (validations?.[cid]) {
+        pair.validation = validations[cid];
+        if (!pair.validation.valid) {
+          report.invalid.push(cid);
+        }
+      }
+
+      if (capture?.success) {
+        pair.screenshot = capture.screenshot;
+        report.screenshots[cid] = capture.screenshot;
+
+        progress({ stage: 'summarize', cid, index, total: cids.length, message: `Summarizing ${index + 1}/${cids.length} (${cid})` });
+
+        try {
+          Object.assign(pair, await this.summarize(capture.screenshot, { cid, wfdl: components[cid], context }));
+          pair.reviewStatus = 'pending'; // A new summary needs a new review
+        } catch (error) {
+          report.failures.push({ cid, stage: 'summarize', error: error.message });
+        }
+      } else {
+        report.failures.push({ cid, stage: 'capture', error: capture?.error || 'No screenshot captured' });
+      }
+
+      try {
+        await this.pairStore.upsert(pair);
+        if (pair.summary) {
+          report.completed++;
+        }
+      } catch (error) {
+        report.failures.push({ cid, stage: 'store', error: error.message });
+      }
+    }
+
+    report.finishedAt = new Date().toISOString();
+    progress({ stage: 'done', total: cids.length, message: `Done: ${report.completed}/${cids.length} pairs generated` });
+
+    this.logger.info('Pipeline finished', {
+      total: report.total,
+      completed: report.completed,
+      invalid: report.invalid.length,
+      failures: report.failures.length
+    });
+
+    return report;
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PairGenerationPipeline;
+} else {
+  self.PairGenerationPipeline = PairGenerationPipeline;
+}
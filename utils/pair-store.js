@@ -0,0 +1,227 @@
+/**
+ * (HTMLsummary, WDFL) generater - Pair Store
+ * Persistent IndexedDB storage for (HTML summary, WFDL) pairs
+ */
+
+class PairStore {
+  constructor() {
+    this.logger = new Logger('PairStore');
+    this.canonicalizer = new WFDLCanonicalizer();
+    this.dbPromise = null;
+  }
+
+  /**
+   * Create a new pair
+   * @param {object} pair - The pair data ({ cid, wfdl, summary, sourceUrl, ... })
+   * @returns {Promise<object>} The stored pair record
+   */
+  async create(pair) {
+    pair = await this.normalize(pair);
+    const now = new Date().toISOString();
+    const record = {
+      ...pair,
+      id: pair.id || crypto.randomUUID(),
+      cid: pair.cid,
+      wfdl: pair.wfdl || '',
+      summary: pair.summary || '',
+      sourceUrl: pair.sourceUrl || '',
+      extensionVersion: pair.extensionVersion || CONFIG.extension.version,
+      reviewStatus: pair.reviewStatus || 'pending',
+      reviewNotes: pair.reviewNotes || '',
+      timestamp: pair.timestamp || now,
+      updatedAt: now
+    };
+
+    await this._withStore('readwrite', store => store.add(record));
+    this.logger.debug('Pair created', { id: record.id, cid: record.cid });
+    return record;
+  }
+
+  /**
+   * Get a pair by id
+   * @param {string} id - The pair id
+   * @returns {Promise<object|null>} The pair record, or null if not found
+   */
+  async get(id) {
+    const record = await this._withStore('readonly', store => store.get(id));
+    return record || null;
+  }
+
+  /**
+   * Get all stored pairs, oldest first
+   * @returns {Promise<Array<object>>} All pair records
+   */
+  async getAll() {
+    const records = await this._withStore('readonly', store => store.getAll());
+    return records.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Find the pair for a component on a given page
+   * @param {string} cid - The component id
+   * @param {string} sourceUrl - The page URL the component was exported from
+   * @returns {Promise<object|null>} The pair record, or null if not found
+   */
+  async findByComponent(cid, sourceUrl) {
+    const record = await this._withStore('readonly', store =>
+      store.index('component').get([cid, sourceUrl])
+    );
+    return record || null;
+  }
+
+  /**
+   * Update an existing pair
+   * @param {string} id - The pair id
+   * @param {object} changes - The fields to change
+   * @returns {Promise<object>} The updated pair record
+   */
+  async update(id, changes) {
+    const existing = await this.get(id);
+    if (!existing) {
+      throw new Error(`Pair not found: ${id}`);
+    }
+
+    changes = await this.normalize(changes);
+
+    // A validation result only describes the WFDL it was run on
+    if (changes.wfdlHash && changes.wfdlHash !== existing.wfdlHash && !('validation' in changes)) {
+      changes.validation = null;
+    }
+
+    const record = {
+      ...existing,
+      ...changes,
+      id: existing.id,
+      timestamp: existing.timestamp,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this._withStore('readwrite', store => store.put(record));
+    this.logger.debug('Pair updated', { id });
+    return record;
+  }
+
+  /**
+   * Canonicalize a pair's WFDL and attach its identifier mapping and hash.
+   * Pairs without WFDL are returned unchanged.
+   * @param {object} pair - The pair data
+   * @returns {Promise<object>} The pair with canonical wfdl, wfdlIdentifiers and wfdlHash
+   */
+  async normalize(pair) {
+    if (typeof pair.wfdl !== 'string' || !pair.wfdl) {
+      return pair;
+    }
+
+    const { wfdl, identifiers } = this.canonicalizer.canonicalize(pair.wfdl);
+
+    // Already-canonical WFDL maps placeholders to themselves; keep the original values instead
+    const previous = pair.wfdlIdentifiers || {};
+    const wfdlIdentifiers = {};
+    Object.entries(identifiers).forEach(([placeholder, value]) => {
+      wfdlIdentifiers[placeholder] = previous[value] ?? value;
+    });
+
+    return { ...pair, wfdl, wfdlIdentifiers, wfdlHash: await this.canonicalizer.hash(wfdl) };
+  }
+
+  /**
+   * Create or update the pair for a component, matched by cid and source URL
+   * @param {object} pair - The pair data; must include cid and sourceUrl
+   * @returns {Promise<object>} The stored pair record
+   */
+  async upsert(pair) {
+    const existing = await this.findByComponent(pair.cid, pair.sourceUrl);
+    if (existing) {
+      return this.update(existing.id, pair);
+    }
+    return this.create(pair);
+  }
+
+  /**
+   * Delete a pair
+   * @param {string} id - The pair id
+   */
+  async delete(id) {
+    await this._withStore('readwrite', store => store.delete(id));
+    this.logger.debug('Pair deleted', { id });
+  }
+
+  /**
+   * Delete all pairs
+   */
+  async clear() {
+    await this._withStore('readwrite', store => store.clear());
+    this.logger.info('Pair store cleared');
+  }
+
+  /**
+   * Count stored pairs
+   * @returns {Promise<number>} The number of pairs
+   */
+  async count() {
+    return this._withStore('readonly', store => store.count());
+  }
+
+  /**
+   * Open (or create) the IndexedDB database
+   * @returns {Promise<IDBDatabase>} The database handle
+   */
+  _open() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    const { dbName, dbVersion, storeName } = CONFIG.pairStore;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(storeName)) {
+          const store = db.createObjectStore(storeName, { keyPath: 'id' });
+          store.createIndex('cid', 'cid', { unique: false });
+          store.createIndex('sourceUrl', 'sourceUrl', { unique: false });
+          store.createIndex('component', ['cid', 'sourceUrl'], { unique: true });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+
+      request.onerror = () => {
+        this.logger.error('Failed to open pair store', { error: request.error?.message });
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request against the object store
+   * @param {string} mode - The transaction mode ('readonly' or 'readwrite')
+   * @param {function} callback - Receives the object store and returns an IDBRequest
+   * @returns {Promise<*>} The request result, once the transaction completes
+   */
+  async _withStore(mode, callback) {
+    const db = await this._open();
+    const storeName = CONFIG.pairStore.storeName;
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = callback(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PairStore;
+} else {
+  self.PairStore = PairStore;
+}
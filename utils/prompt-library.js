@@ -0,0 +1,231 @@
+/**
+ * (HTMLsummary, WDFL) generater - Prompt Library
+ * Named, versioned prompt templates for screenshot summaries
+ *
+ * Templates are stored in chrome.storage.local under `promptTemplates`:
+ *   { activeId, templates: { [id]: { id, name, versions: [{ version, body, createdAt }] } } }
+ * Editing a template's body appends a new version; earlier versions are kept so every
+ * stored pair can be traced back to the exact prompt (promptId + promptVersion) that produced it.
+ */
+
+class PromptLibrary {
+  /**
+   * @param {object} options - Library options
+   * @param {string} options.defaultPrompt - Body of the "Default summary" template seeded into an empty library
+   */
+  constructor({ defaultPrompt }) {
+    this.logger = new Logger('PromptLibrary');
+    this.storageKey = 'promptTemplates';
+    this.defaultPrompt = defaultPrompt;
+  }
+
+  /**
+   * List all templates at their latest version
+   * @returns {Promise<Array<object>>} Templates ({ id, name, version, body, versions })
+   */
+  async list() {
+    const library = await this._load();
+    return Object.values(library.templates).map(template => this._resolve(template));
+  }
+
+  /**
+   * Get a template at a specific version
+   * @param {string} id - The template id
+   * @param {number} version - The version; defaults to the latest
+   * @returns {Promise<object>} The template ({ id, name, version, body, versions })
+   */
+  async get(id, version = null) {
+    const library = await this._load();
+    const template = library.templates[id];
+    if (!template) {
+      throw new Error(`Prompt template not found: ${id}`);
+    }
+    return this._resolve(template, version);
+  }
+
+  /**
+   * Get the template used for new summaries
+   * @returns {Promise<object>} The active template at its latest version
+   */
+  async getActive() {
+    const library = await this._load();
+    const template = library.templates[library.activeId] || Object.values(library.templates)[0];
+    return this._resolve(template);
+  }
+
+  /**
+   * Select the template used for new summaries
+   * @param {string} id - The template id
+   */
+  async setActive(id) {
+    const library = await this._load();
+    if (!library.templates[id]) {
+      throw new Error(`Prompt template not found: ${id}`);
+    }
+    library.activeId = id;
+    await this._save(library);
+  }
+
+  /**
+   * Create a new template
+   * @param {string} name - The template name
+   * @param {string} body - The prompt text, with {{placeholders}}
+   * @returns {Promise<object>} The new template at version 1
+   */
+  async create(name, body) {
+    const library = await this._load();
+    const template = {
+      id: crypto.randomUUID(),
+      name,
+      versions: [{ version: 1, body, createdAt: new Date().toISOString() }]
+    };
+
+    library.templates[template.id] = template;
+    await this._save(library);
+
+    this.logger.info('Prompt template created', { id: template.id, name });
+    return this._resolve(template);
+  }
+
+  /**
+   * Rename a template and/or save a new version of its body
+   * @param {string} id - The template id
+   * @param {object} changes - The new name and/or body ({ name, body })
+   * @returns {Promise<object>} The template at its latest version
+   */
+  async update(id, { name, body }) {
+    const library = await this._load();
+    const template = library.templates[id];
+    if (!template) {
+      throw new Error(`Prompt template not found: ${id}`);
+    }
+
+    if (name) {
+      template.name = name;
+    }
+
+    const latest = template.versions[template.versions.length - 1];
+    if (typeof body === 'string' && body !== latest.body) {
+      template.versions.push({ version: latest.version + 1, body, createdAt: new Date().toISOString() });
+      this.logger.info('Prompt template versioned', { id, version: latest.version + 1 });
+    }
+
+    await this._save(library);
+    return this._resolve(template);
+  }
+
+  /**
+   * Delete a template. The last remaining template cannot be deleted.
+   * @param {string} id - The template id
+   */
+  async delete(id) {
+    const library = await this._load();
+    if (Object.keys(library.templates).length <= 1) {
+      throw new Error('Cannot delete the last prompt template');
+    }
+
+    delete library.templates[id];
+    if (library.activeId === id) {
+      library.activeId = Object.keys(library.templates)[0];
+    }
+    await this._save(library);
+  }
+
+  /**
+   * Fill a template's {{placeholders}}
+   * @param {object} template - The template ({ body })
+   * @param {object} variables - Placeholder values, e.g. from buildVariables()
+   * @returns {string} The rendered prompt
+   */
+  render(template, variables = {}) {
+    return template.body.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+      if (variables[name] === undefined || variables[name] === null) {
+        this.logger.warn('Unknown prompt placeholder', { name });
+        return '';
+      }
+      return String(variables[name]);
+    });
+  }
+
+  /**
+   * Build placeholder values for a component
+   * @param {object} component - The component ({ cid, wfdl, context: { url, title } })
+   * @returns {object} Placeholder values ({ cid, pageTitle, pageUrl, wfdlExcerpt })
+   */
+  buildVariables({ cid, wfdl, context } = {}) {
+    const wfdlText = wfdl || '';
+    const excerptLength = CONFIG.prompts.wfdlExcerptLength;
+
+    return {
+      cid: cid || '',
+      pageTitle: context?.title || '',
+      pageUrl: context?.url || '',
+      wfdlExcerpt: wfdlText.length > excerptLength ? `${wfdlText.slice(0, excerptLength)}...` : wfdlText
+    };
+  }
+
+  /**
+   * Flatten a stored template to one version
+   * @param {object} template - The stored template
+   * @param {number} version - The version; defaults to the latest
+   * @returns {object} The template ({ id, name, version, body, versions })
+   */
+  _resolve(template, version = null) {
+    const entry = version
+      ? template.versions.find(candidate => candidate.version === Number(version))
+      : template.versions[template.versions.length - 1];
+
+    if (!entry) {
+      throw new Error(`Prompt template ${template.id} has no version ${version}`);
+    }
+
+    return {
+      id: template.id,
+      name: template.name,
+      version: entry.version,
+      body: entry.body,
+      versions: template.versions.map(candidate => candidate.version)
+    };
+  }
+
+  /**
+   * Load the library, seeding the default template on first use
+   * @returns {Promise<object>} The stored library
+   */
+  async _load() {
+    const stored = await chrome.storage.local.get([this.storageKey]);
+    const library = stored[this.storageKey];
+
+    if (library && Object.keys(library.templates || {}).length) {
+      return library;
+    }
+
+    const seeded = {
+      activeId: 'default',
+      templates: {
+        default: {
+          id: 'default',
+          name: 'Default summary',
+          versions: [{ version: 1, body: this.defaultPrompt, createdAt: new Date().toISOString() }]
+        }
+      }
+    };
+    await this._save(seeded);
+    return seeded;
+  }
+
+  /**
+   * Persist the library
+   * @param {object} library - The library to store
+   */
+  async _save(library) {
+    await chrome.storage.local.set({ [this.storageKey]: library });
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PromptLibrary;
+} else {
+  self.PromptLibrary = PromptLibrary;
+}
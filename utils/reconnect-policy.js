@@ -0,0 +1,263 @@
+/**
+ * (HTMLsummary, WDFL) generater - Reconnect Policy
+ * Schedules reconnection attempts with exponential backoff and jitter
+ *
+ * Attempt n waits initialDelay * multiplier^(n-1) ms, capped at maxDelay, then moved randomly by
+ * up to ±jitter of itself so clients that lost the server together don't retry in lockstep.
+ * After maxAttempts the policy gives up (exhausted) until reset; maxAttempts null retries forever.
+ * While paused (the browser is offline) nothing is scheduled; resume() retries right away.
+ *
+ * { attempt, nextAttemptAt, exhausted } is kept in chrome.storage.session (settings.storageKey), so
+ * the schedule survives the service worker being suspended: a new policy restores it (see restored)
+ * and rearm() picks the waiting attempt back up.
+ *
+ * State: { attempt, maxAttempts, nextAttemptAt, paused, exhausted }
+ */
+
+class ReconnectPolicy {
+  /**
+   * @param {object} settings - Overrides for CONFIG.websocket.reconnect
+   *   ({ initialDelay, maxDelay, multiplier, jitter, maxAttempts, storageKey })
+   */
+  constructor(settings = {}) {
+    this.logger = new Logger('ReconnectPolicy');
+    this.settings = { ...CONFIG.websocket.reconnect, ...settings };
+
+    this.attempt = 0;
+    this.timer = null;
+    this.callback = null;
+    this.nextAttemptAt = null;
+    this.paused = false;
+    this.exhausted = false;
+    this.listeners = { change: [] };
+
+    // Resolves once the state stored by a previous service worker has been restored
+    this.restored = this._restore();
+  }
+
+  /**
+   * Get the delay before an attempt
+   * @param {number} attempt - The attempt number (1 for the first retry)
+   * @returns {number} Milliseconds to wait
+   */
+  delay(attempt) {
+    const { initialDelay, maxDelay, multiplier, jitter } = this.settings;
+    const base = Math.min(maxDelay, initialDelay * Math.pow(multiplier, attempt - 1));
+    const spread = base * jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(base + spread));
+  }
+
+  /**
+   * Schedule the next attempt
+   * @param {function} callback - Runs the attempt
+   * @returns {boolean} Whether an attempt is scheduled (false once exhausted)
+   */
+  schedule(callback) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.callback = callback;
+
+    if (this.paused) {
+      this.logger.info('Offline; reconnecting when the network is back');
+      this._emit();
+      return true;
+    }
+
+    const { maxAttempts } = this.settings;
+    if (maxAttempts !== null && this.attempt >= maxAttempts) {
+      this.exhausted = true;
+      this.callback = null;
+      this.nextAttemptAt = null;
+      this.logger.error(`Max reconnection attempts reached (${maxAttempts})`);
+      this._emit();
+      return false;
+    }
+
+    this.attempt++;
+    const delay = this.delay(this.attempt);
+    this.nextAttemptAt = Date.now() + delay;
+    this.timer = setTimeout(() => this._run(), delay);
+
+    this.logger.info(`Reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.attempt}${maxAttempts === null ? '' : `/${maxAttempts}`})`);
+    this._emit();
+    return true;
+  }
+
+  /**
+   * Wait for an attempt scheduled before the service worker was suspended
+   * @param {function} callback - Runs the attempt
+   * @returns {boolean} Whether an attempt is still due (false once it is overdue, or none was scheduled)
+   */
+  rearm(callback) {
+    if (this.callback || !this.nextAttemptAt || this.nextAttemptAt <= Date.now()) {
+      return Boolean(this.callback);
+    }
+
+    this.callback = callback;
+    if (!this.paused) {
+      this.timer = setTimeout(() => this._run(), this.nextAttemptAt - Date.now());
+    }
+    this.logger.info(`Reconnecting in ${Math.round((this.nextAttemptAt - Date.now()) / 1000)}s (attempt ${this.attempt}, restored)`);
+    this._emit();
+    return true;
+  }
+
+  /**
+   * Run the scheduled attempt now
+   * @returns {boolean} Whether an attempt was waiting
+   */
+  retryNow() {
+    if (!this.callback) {
+      return false;
+    }
+    clearTimeout(this.timer);
+    this._run();
+    return true;
+  }
+
+  /**
+   * Stop scheduling attempts (the browser went offline)
+   */
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextAttemptAt = null;
+    this.logger.info('Network offline; reconnection paused');
+    this._emit();
+  }
+
+  /**
+   * Start scheduling again (the browser came back online), retrying a waiting attempt right away
+   */
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.logger.info('Network online; reconnection resumed');
+    if (this.callback) {
+      this._run();
+    } else {
+      this._emit();
+    }
+  }
+
+  /**
+   * Drop the scheduled attempt
+   */
+  cancel() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.callback = null;
+    this.nextAttemptAt = null;
+    this._emit();
+  }
+
+  /**
+   * Start over after a successful registration (or a manual retry after giving up)
+   */
+  reset() {
+    this.attempt = 0;
+    this.exhausted = false;
+    this.cancel();
+  }
+
+  /**
+   * Get the policy state
+   * @returns {object} { attempt, maxAttempts, nextAttemptAt, paused, exhausted }
+   */
+  getState() {
+    return {
+      attempt: this.attempt,
+      maxAttempts: this.settings.maxAttempts,
+      nextAttemptAt: this.nextAttemptAt,
+      paused: this.paused,
+      exhausted: this.exhausted
+    };
+  }
+
+  /**
+   * Add an event listener
+   * @param {string} event - 'change' (called with the state)
+   * @param {function} callback - The callback
+   */
+  on(event, callback) {
+    this.listeners[event].push(callback);
+  }
+
+  /**
+   * Run the waiting attempt
+   */
+  _run() {
+    const callback = this.callback;
+    this.timer = null;
+    this.callback = null;
+    this.nextAttemptAt = null;
+    this._emit();
+    callback();
+  }
+
+  /**
+   * Load the state stored by a previous service worker
+   */
+  async _restore() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.session) {
+      return;
+    }
+
+    try {
+      const stored = (await chrome.storage.session.get(this.settings.storageKey))[this.settings.storageKey];
+
+      // Anything scheduled in the meantime is newer than the stored state
+      if (!stored || this.attempt || this.callback) {
+        return;
+      }
+
+      this.attempt = stored.attempt || 0;
+      this.nextAttemptAt = stored.nextAttemptAt || null;
+      this.exhausted = Boolean(stored.exhausted);
+      if (this.attempt) {
+        this.logger.info('Restored reconnection state', { attempt: this.attempt, exhausted: this.exhausted });
+      }
+      this._emit();
+    } catch (error) {
+      this.logger.warn('Could not restore reconnection state', { error: error.message });
+    }
+  }
+
+  /**
+   * Store the state for the next service worker
+   */
+  _save() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.session) {
+      return;
+    }
+
+    const { attempt, nextAttemptAt, exhausted } = this;
+    chrome.storage.session.set({ [this.settings.storageKey]: { attempt, nextAttemptAt, exhausted } }).catch(error => {
+      this.logger.warn('Could not store reconnection state', { error: error.message });
+    });
+  }
+
+  /**
+   * Store and notify listeners of the new state
+   */
+  _emit() {
+    this._save();
+    const state = this.getState();
+    this.listeners.change.forEach(callback => {
+      try {
+        callback(state);
+      } catch (error) {
+        this.logger.error('Error in reconnect listener', { error: error.message });
+      }
+    });
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReconnectPolicy;
+} else {
+  self.ReconnectPolicy = ReconnectPolicy;
+}
@@ -0,0 +1,231 @@
+/**
+ * (HTMLsummary, WDFL) generater - Screenshot Capturer
+ * Captures the Designer tab and crops it to each exported component's bounds
+ */
+
+class ScreenshotCapturer {
+  constructor() {
+    this.logger = new Logger('ScreenshotCapturer');
+    this.lastCaptureAt = 0;
+  }
+
+  /**
+   * Capture a cropped screenshot for each component on a Designer tab
+   * @param {number} tabId - The Designer tab ID
+   * @param {Array<string>} cids - The component ids to capture
+   * @param {function} onProgress - Optional callback (cid, index, total) before each capture
+   * @returns {Promise<object>} Map of cid to { success, screenshot, bounds } or { success, error }
+   */
+  async captureComponents(tabId, cids, onProgress = null) {
+    const tab = await this._verifyCaptureTab(tabId);
+    const results = {};
+
+    for (let index = 0; index < cids.length; index++) {
+      const cid = cids[index];
+      if (onProgress) {
+        onProgress(cid, index, cids.length);
+      }
+
+      try {
+        results[cid] = { success: true, ...(await this._captureComponent(tab, cid)) };
+      } catch (error) {
+        this.logger.warn('Component capture failed', { cid, error: error.message });
+        results[cid] = { success: false, error: error.message };
+      }
+    }
+
+    const captured = Object.values(results).filter(result => result.success).length;
+    this.logger.info(`Captured ${captured}/${cids.length} component screenshots`, { tabId });
+    return results;
+  }
+
+  /**
+   * Capture a single component
+   * @param {number} tabId - The Designer tab ID
+   * @param {string} cid - The component id
+   * @returns {Promise<object>} The cropped screenshot and bounds ({ screenshot, bounds })
+   */
+  async captureComponent(tabId, cid) {
+    const tab = await this._verifyCaptureTab(tabId);
+    return this._captureComponent(tab, cid);
+  }
+
+  /**
+   * Locate, capture and crop one component
+   * @param {object} tab - The Designer tab
+   * @param {string} cid - The component id
+   * @returns {Promise<object>} The cropped screenshot and bounds ({ screenshot, bounds })
+   */
+  async _captureComponent(tab, cid) {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: locateComponent,
+      args: [cid, CONFIG.capture.componentSelectors, CONFIG.capture.settleDelay],
+      world: 'MAIN'
+    });
+
+    const location = results[0]?.result;
+    if (!location || !location.found) {
+      throw new Error(location?.error || `Component ${cid} not found on the canvas`);
+    }
+
+    const image = await this._captureVisibleTab(tab.windowId);
+    const screenshot = await this._crop(image, location.bounds, location.devicePixelRatio);
+
+    return { screenshot, bounds: location.bounds };
+  }
+
+  /**
+   * Verify that a tab can be captured
+   * @param {number} tabId - The tab ID
+   * @returns {Promise<object>} The tab object
+   */
+  async _verifyCaptureTab(tabId) {
+    const tab = await chrome.tabs.get(tabId);
+
+    if (!tab) {
+      throw new Error('Designer tab no longer exists');
+    }
+
+    if (!tab.active) {
+      throw new Error('Designer tab must be the active tab in its window to capture screenshots');
+    }
+
+    return tab;
+  }
+
+  /**
+   * Capture the visible area of a window, respecting the captureVisibleTab rate limit
+   * @param {number} windowId - The window ID
+   * @returns {Promise<string>} The screenshot as a data URL
+   */
+  async _captureVisibleTab(windowId) {
+    const wait = this.lastCaptureAt + CONFIG.capture.minCaptureInterval - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    this.lastCaptureAt = Date.now();
+    return chrome.tabs.captureVisibleTab(windowId, { format: CONFIG.capture.format });
+  }
+
+  /**
+   * Crop a screenshot to the given bounds
+   * @param {string} dataUrl - The full screenshot as a data URL
+   * @param {object} bounds - The component bounds in CSS pixels ({ x, y, width, height })
+   * @param {number} devicePixelRatio - The page's device pixel ratio
+   * @returns {Promise<string>} The cropped screenshot as a data URL
+   */
+  async _crop(dataUrl, bounds, devicePixelRatio = 1) {
+    const blob = await (await fetch(dataUrl)).blob();
+    const source = await createImageBitmap(blob);
+
+    const padding = CONFIG.capture.padding;
+    const left = Math.max(0, Math.floor((bounds.x - padding) * devicePixelRatio));
+    const top = Math.max(0, Math.floor((bounds.y - padding) * devicePixelRatio));
+    const right = Math.min(source.width, Math.ceil((bounds.x + bounds.width + padding) * devicePixelRatio));
+    const bottom = Math.min(source.height, Math.ceil((bounds.y + bounds.height + padding) * devicePixelRatio));
+
+    if (right <= left || bottom <= top) {
+      source.close();
+      throw new Error('Component is outside the visible area');
+    }
+
+    const canvas = new OffscreenCanvas(right - left, bottom - top);
+    canvas.getContext('2d').drawImage(source, left, top, right - left, bottom - top, 0, 0, right - left, bottom - top);
+    source.close();
+
+    const cropped = await canvas.convertToBlob({ type: `image/${CONFIG.capture.format}` });
+    return blobToDataURL(cropped);
+  }
+}
+
+/**
+ * Read a blob as a data URL
+ * @param {Blob} blob - The blob to read
+ * @returns {Promise<string>} The data URL
+ */
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Function that will be injected and executed in the target page
+// Finds a component on the Designer canvas (including same-origin canvas iframes),
+// scrolls it into view and returns its bounds relative to the top-level viewport
+async function locateComponent(cid, selectorTemplates, settleDelay) {
+  try {
+    const selectors = selectorTemplates.map(template => template.replace(/\{cid\}/g, CSS.escape(cid)));
+
+    const findIn = (doc) => {
+      for (const selector of selectors) {
+        const element = doc.querySelector(selector);
+        if (element) {
+          return element;
+        }
+      }
+      return null;
+    };
+
+    // Search the top document first, then any same-origin frames (the Designer canvas)
+    let element = findIn(document);
+    let frame = null;
+
+    if (!element) {
+      for (const candidate of document.querySelectorAll('iframe')) {
+        try {
+          const frameDocument = candidate.contentDocument;
+          element = frameDocument && findIn(frameDocument);
+        } catch (e) {
+          element = null; // Cross-origin frame
+        }
+        if (element) {
+          frame = candidate;
+          break;
+        }
+      }
+    }
+
+    if (!element) {
+      return { found: false, error: `Component ${cid} not found on the canvas` };
+    }
+
+    element.scrollIntoView({ block: 'center', inline: 'center' });
+    await new Promise(resolve => setTimeout(resolve, settleDelay));
+
+    const rect = element.getBoundingClientRect();
+    let bounds = { x: rect.left, y: rect.top, width: rect.width, height: rect.height };
+
+    if (frame) {
+      // Map frame coordinates to the top-level viewport, accounting for canvas zoom
+      const frameRect = frame.getBoundingClientRect();
+      const scale = frame.clientWidth ? frameRect.width / frame.clientWidth : 1;
+      bounds = {
+        x: frameRect.left + frame.clientLeft + bounds.x * scale,
+        y: frameRect.top + frame.clientTop + bounds.y * scale,
+        width: bounds.width * scale,
+        height: bounds.height * scale
+      };
+    }
+
+    if (bounds.width === 0 || bounds.height === 0) {
+      return { found: false, error: `Component ${cid} has no visible size` };
+    }
+
+    return { found: true, bounds, devicePixelRatio: window.devicePixelRatio || 1 };
+
+  } catch (error) {
+    return { found: false, error: `Locating component failed: ${error.message}` };
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScreenshotCapturer;
+} else {
+  self.ScreenshotCapturer = ScreenshotCapturer;
+}
@@ -0,0 +1,191 @@
+/**
+ * (HTMLsummary, WDFL) generater - Selection Capture
+ * Creates a single pair for the element currently selected on the Designer canvas
+ *
+ * The selection is read from the Designer's selection API (CONFIG.designerApi.operations.selection)
+ * when the build has one, otherwise from the canvas DOM (CONFIG.capture.selectionSelectors).
+ * The selected element may be nested inside a component, so the selected id and the ids of its
+ * ancestors are tried in order and the first one in the page's export is captured.
+ */
+
+class SelectionCapture {
+  /**
+   * @param {object} options - Capture dependencies
+   * @param {function} options.exportComponents - (tabId) => Promise of { context, components }
+   * @param {DesignerCapabilities} options.capabilities - Resolves the Designer's selection API
+   * @param {ScreenshotCapturer} options.capturer - Captures the cropped screenshot
+   * @param {PairStore} options.pairStore - Where the pair is saved
+   * @param {function} options.summarize - Optional (screenshot, component) => Promise of { summary, promptId, promptVersion }
+   */
+  constructor({ exportComponents, capabilities, capturer, pairStore, summarize = null }) {
+    this.logger = new Logger('SelectionCapture');
+    this.exportComponents = exportComponents;
+    this.capabilities = capabilities;
+    this.capturer = capturer;
+    this.pairStore = pairStore;
+    this.summarize = summarize;
+  }
+
+  /**
+   * Find the selected element on a Designer tab
+   * @param {number} tabId - The Designer tab ID
+   * @returns {Promise<object>} { cids, source }; cids lists the selected id first, then its ancestors' ids
+   * @throws {Error} If nothing is selected
+   */
+  async locate(tabId) {
+    const method = await this.capabilities.resolve(tabId, 'selection').catch(() => null);
+    await this.capabilities.injectApiLookup(tabId);
+
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      func: findSelectedComponent,
+      args: [method, CONFIG.capture.selectionSelectors, CONFIG.capture.componentSelectors],
+      world: 'MAIN'
+    });
+
+    const selection = results[0]?.result;
+    if (!selection || !selection.found) {
+      throw new Error(selection?.error || 'No result from selection lookup');
+    }
+
+    this.logger.debug('Found Designer selection', { tabId, cids: selection.cids, source: selection.source });
+    return { cids: selection.cids, source: selection.source };
+  }
+
+  /**
+   * Export, capture, summarize and save the selected component
+   * @param {number} tabId - The Designer tab ID
+   * @returns {Promise<object>} { cid, selection, context, pair, failures }
+   * @throws {Error} If nothing is selected or the selection is not part of an exported component
+   */
+  async run(tabId) {
+    const selection = await this.locate(tabId);
+    const { context, components } = await this.exportComponents(tabId);
+
+    const cid = selection.cids.find(id => Object.prototype.hasOwnProperty.call(components, id));
+    if (!cid) {
+      throw new Error(`The selected element (${selection.cids[0]}) is not part of an exported component`);
+    }
+
+    const report = { cid, selection, context, pair: null, failures: [] };
+    const pair = { cid, wfdl: components[cid], sourceUrl: context.url };
+
+    try {
+      const { screenshot } = await this.capturer.captureComponent(tabId, cid);
+      pair.screenshot = screenshot;
+    } catch (error) {
+      report.failures.push({ stage: 'capture', error: error.message });
+    }
+
+    if (pair.screenshot && this.summarize) {
+      try {
+        Object.assign(pair, await this.summarize(pair.screenshot, { cid, wfdl: pair.wfdl, context }));
+        pair.reviewStatus = 'pending'; // A new summary needs a new review
+      } catch (error) {
+        report.failures.push({ stage: 'summarize', error: error.message });
+      }
+    }
+
+    report.pair = await this.pairStore.upsert(pair);
+
+    this.logger.info('Captured selected component', { tabId, cid, source: selection.source, failures: report.failures.length });
+    return report;
+  }
+}
+
+// Function that will be injected and executed in the target page (after the wf lookup, wfdlDesignerApi)
+// Reads the selection from the wf selection API (if any) or the canvas DOM, including same-origin
+// canvas iframes, and returns the selected id followed by its ancestors' ids
+async function findSelectedComponent(method, selectionSelectors, componentSelectors) {
+  try {
+    // Component id attributes, taken from the '[attribute="{cid}"]' selector templates
+    const attributes = componentSelectors
+      .map(template => template.match(/^\[([\w-]+)=/)?.[1])
+      .filter(Boolean);
+
+    const documents = [document];
+    for (const frame of document.querySelectorAll('iframe')) {
+      try {
+        if (frame.contentDocument) {
+          documents.push(frame.contentDocument);
+        }
+      } catch (e) {
+        // Cross-origin frame
+      }
+    }
+
+    const query = (selectors) => {
+      for (const doc of documents) {
+        for (const selector of selectors) {
+          const element = doc.querySelector(selector);
+          if (element) {
+            return element;
+          }
+        }
+      }
+      return null;
+    };
+
+    const idOf = (element) => {
+      for (const attribute of attributes) {
+        const value = element.getAttribute(attribute);
+        if (value) {
+          return value;
+        }
+      }
+      return null;
+    };
+
+    let selectedId = null;
+    let element = null;
+    let source = 'canvas';
+
+    const wf = wfdlDesignerApi();
+    if (method && typeof wf?.[method] === 'function') {
+      let selection = await wf[method]();
+      if (Array.isArray(selection)) {
+        selection = selection[0];
+      }
+      selectedId = typeof selection === 'string'
+        ? selection
+        : selection?.cid || selection?.id || selection?.nodeId || null;
+
+      if (selectedId) {
+        source = `wf.${method}`;
+        element = query(componentSelectors.map(template => template.replace(/\{cid\}/g, CSS.escape(selectedId))));
+      }
+    }
+
+    if (!selectedId) {
+      element = query(selectionSelectors);
+      if (!element) {
+        return { found: false, error: 'Nothing is selected on the Designer canvas' };
+      }
+      selectedId = idOf(element);
+    }
+
+    const cids = selectedId ? [selectedId] : [];
+    for (let node = element?.parentElement; node; node = node.parentElement) {
+      const id = idOf(node);
+      if (id && !cids.includes(id)) {
+        cids.push(id);
+      }
+    }
+
+    if (cids.length === 0) {
+      return { found: false, error: 'The selected element has no component id' };
+    }
+
+    return { found: true, cids, source };
+
+  } catch (error) {
+    return { found: false, error: `Reading the selection failed: ${error.message}` };
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SelectionCapture;
+} else {
+  self.SelectionCapture = SelectionCapture;
+}
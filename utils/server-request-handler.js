@@ -0,0 +1,377 @@
+/**
+ * (HTMLsummary, WDFL) generater - Server Request Handler
+ * Handles requests from the WebSocket server and sends the results back
+ *
+ * Runs in the background service worker, so requests are handled whether or not the popup is open.
+ * Request types: wfdl_validation_request (validate a WFDL payload, or export the page without one)
+ * and wfdl_multi_export_request (export every loaded Designer tab).
+ * Results are sent with WebSocketManager.request(), so the server's reply confirms delivery
+ * (protocol version 1 servers don't reply, so results are only sent to them). Results that can't be
+ * delivered go to the outbound queue and are flushed in order once the server is reachable again;
+ * while any are queued, new results queue behind them instead of overtaking them.
+ */
+
+class ServerRequestHandler {
+  /**
+   * @param {object} options - Handler dependencies
+   * @param {WebSocketManager} options.wsManager - The server connection
+   * @param {ValidationExecutor} options.validationExecutor - Runs exports and wf.validateWFDL
+   * @param {DesignerTabRegistry} options.tabRegistry - Picks the Designer tab for a request
+   * @param {MultiTabExporter} options.multiTabExporter - Exports every loaded Designer tab
+   * @param {OutboundQueue} options.outboundQueue - Holds results until they can be delivered
+   */
+  constructor({ wsManager, validationExecutor, tabRegistry, multiTabExporter, outboundQueue }) {
+    // Request types advertised to the server during registration
+    this.requestTypes = ['wfdl_validation_request', 'wfdl_multi_export_request'];
+
+    this.logger = new Logger('ServerRequests');
+    this.wsManager = wsManager;
+    this.validationExecutor = validationExecutor;
+    this.tabRegistry = tabRegistry;
+    this.multiTabExporter = multiTabExporter;
+    this.outboundQueue = outboundQueue;
+    this.flushing = false;
+    this.flushAgain = false;
+    this.extensionId = chrome.runtime.id;
+
+    // Readiness changes that couldn't be sent, latest per tab; sent after the next registration
+    this.pendingReadiness = new Map();
+
+    // Statistics
+    this.stats = { requests: 0, successes: 0 };
+
+    // Event listeners
+    this.listeners = { stats: [], validated: [] };
+  }
+
+  /**
+   * Add an event listener
+   * @param {string} event - 'stats' (called with the stats) or 'validated' (called with { wfdl, validation })
+   * @param {function} callback - The callback
+   */
+  on(event, callback) {
+    this.listeners[event].push(callback);
+  }
+
+  /**
+   * Handle WebSocket messages
+   * @param {object} message - The WebSocket message
+   */
+  handleMessage(message) {
+    this.logger.debug('Received WebSocket message', { type: message.type });
+
+    switch (message.type) {
+      case 'wfdl_validation_request':
+        this.handleValidationRequest(message);
+        break;
+
+      case 'wfdl_multi_export_request':
+        this.handleMultiExportRequest(message);
+        break;
+
+      case 'registered':
+      case 'register_rejected':
+        // Handled by WebSocketManager
+        break;
+
+      case 'heartbeat_ack':
+        this.logger.debug('Heartbeat acknowledged');
+        break;
+
+      case 'ack':
+        this.logger.info('Validation result acknowledged');
+        break;
+
+      case 'error':
+        this.logger.error('Server error', { message: message.message });
+        break;
+
+      default:
+        this.logger.warn('Unknown message type', { type: message.type });
+    }
+  }
+
+  /**
+   * Handle validation requests from WebSocket
+   * @param {object} message - The validation request message
+   */
+  async handleValidationRequest(message) {
+    const requestId = message.requestId || message.id;
+    this.logger.info('Processing validation request', { requestId });
+    this._count('requests');
+
+    try {
+      const wfdl = this.getRequestWFDL(message);
+
+      // Find the Designer tab the request targets (or the pinned/active one)
+      const designer = await this.tabRegistry.select(this.getRequestTarget(message));
+      const tabId = designer.tabId;
+
+      // A WFDL payload is validated with wf.validateWFDL; without one the page is exported
+      const result = wfdl === null
+        ? await this.validationExecutor.exportPage(tabId, requestId)
+        : await this.validationExecutor.validateWFDL(tabId, wfdl, requestId);
+
+      // Report which tab handled the request
+      result.context = {
+        ...result.context,
+        tabId: tabId,
+        siteSlug: designer.siteSlug,
+        pageId: designer.pageId,
+        selectedBy: designer.selectedBy
+      };
+
+      if (wfdl !== null) {
+        this._emit('validated', { wfdl, validation: result.validationResult });
+      }
+
+      this.logger.info('Validation completed successfully', { requestId });
+      this._count('successes');
+
+      // Send result back to server
+      await this.sendValidationResult(requestId, result);
+
+    } catch (error) {
+      this.logger.error('Validation request failed', {
+        requestId,
+        error: error.message
+      });
+
+      // Send error result back to server
+      await this.sendValidationResult(requestId, {
+        success: false,
+        error: error.message,
+        requestId
+      });
+    }
+  }
+
+  /**
+   * Handle a multi-tab export request from WebSocket
+   * @param {object} message - The request ({ requestId, concurrency })
+   */
+  async handleMultiExportRequest(message) {
+    const requestId = message.requestId || message.id;
+    this.logger.info('Processing multi-tab export request', { requestId });
+    this._count('requests');
+
+    let result;
+    try {
+      const report = await this.multiTabExporter.run({ concurrency: message.concurrency || undefined });
+      result = { success: true, requestId, ...report };
+      this._count('successes');
+    } catch (error) {
+      this.logger.error('Multi-tab export request failed', { requestId, error: error.message });
+      result = { success: false, requestId, error: error.message };
+    }
+
+    await this.deliver({
+      type: 'multi_export_result',
+      requestId: requestId,
+      id: this.extensionId,
+      result: result
+    });
+  }
+
+  /**
+   * Get the WFDL payload of a validation request
+   * @param {object} message - The validation request
+   * @returns {string|null} The WFDL to validate, or null when the request carries none
+   */
+  getRequestWFDL(message) {
+    const payload = message.payload ?? message.wfdl ?? message.data ?? message.content ?? null;
+
+    // Accept { wfdl } / { code } objects as well as plain strings
+    const wfdl = payload && typeof payload === 'object' ? payload.wfdl ?? payload.code ?? null : payload;
+
+    if (wfdl === null || wfdl === undefined || wfdl === '') {
+      return null;
+    }
+    if (typeof wfdl !== 'string') {
+      throw new Error(`WFDL payload must be a string, got ${typeof wfdl}`);
+    }
+    return wfdl;
+  }
+
+  /**
+   * Get the tab target of a server request
+   * @param {object} message - The validation request
+   * @returns {object|null} { tabId, siteSlug, pageId }, or null to use the default tab
+   */
+  getRequestTarget(message) {
+    const target = message.target || {};
+    const tabId = target.tabId ?? message.tabId ?? null;
+    const siteSlug = target.siteSlug ?? target.site ?? message.siteSlug ?? null;
+    const pageId = target.pageId ?? message.pageId ?? null;
+    return tabId || siteSlug || pageId ? { tabId, siteSlug, pageId } : null;
+  }
+
+  /**
+   * Send validation result back to server
+   * @param {string} requestId - The request ID
+   * @param {object} result - The validation result
+   * @returns {Promise<boolean>} Whether the server received the result (false when queued)
+   */
+  sendValidationResult(requestId, result) {
+    // Failures are reported as diagnostics too, so the server only has to read one format
+    const diagnostics = result.success
+      ? result.validationResult?.diagnostics || []
+      : this.validationExecutor.diagnostics.normalize(result.error || 'Validation failed').diagnostics;
+
+    return this.deliver({
+      type: 'validation_result',
+      requestId: requestId,
+      id: this.extensionId,
+      result: result,
+      diagnostics: diagnostics
+    });
+  }
+
+  /**
+   * Send a message to the server, queueing it if it can't be delivered now
+   * @param {object} message - The message ({ type, requestId, ... })
+   * @returns {Promise<boolean>} Whether the server received it directly (false when it was queued)
+   */
+  async deliver(message) {
+    // Queued messages go first: while any are waiting (or before registration) new ones queue behind them
+    if (this.flushing || !this.wsManager.isRegistered || (await this.outboundQueue.list()).length) {
+      await this.outboundQueue.enqueue(message);
+      await this.flushQueue();
+      return false;
+    }
+
+    const outcome = await this._transmit(message);
+    if (outcome === 'retry') {
+      await this.outboundQueue.enqueue(message);
+      this.logger.warn(`Queued ${message.type} until the server is reachable`, { requestId: message.requestId });
+    }
+    return outcome === 'delivered';
+  }
+
+  /**
+   * Send queued messages in order (after registration and on the keepalive alarm)
+   * @returns {Promise<number>} How many were delivered
+   */
+  async flushQueue() {
+    if (!this.wsManager.isRegistered) {
+      return 0;
+    }
+    if (this.flushing) {
+      // The running flush may already have found the queue empty; have it look again
+      this.flushAgain = true;
+      return 0;
+    }
+
+    this.flushing = true;
+    let delivered = 0;
+    try {
+      do {
+        this.flushAgain = false;
+        // Refused messages are dropped too: sending them again would be refused again
+        delivered += await this.outboundQueue.flush(async message => (await this._transmit(message)) !== 'retry');
+      } while (this.flushAgain && this.wsManager.isRegistered);
+    } catch (error) {
+      this.logger.error('Flushing the outbound queue failed', { error: error.message });
+    } finally {
+      this.flushing = false;
+    }
+    return delivered;
+  }
+
+  /**
+   * Try to send a message once
+   * @param {object} message - The message
+   * @returns {Promise<string>} 'delivered', 'refused' (the server replied with an error) or 'retry'
+   */
+  async _transmit(message) {
+    // The protocol version (and whether the server replies) is only known once registered
+    if (!this.wsManager.isRegistered) {
+      return 'retry';
+    }
+
+    // Protocol version 1 servers don't reply with correlationIds
+    if (this.wsManager.protocolVersion === 1) {
+      return this.wsManager.send(message) ? 'delivered' : 'retry';
+    }
+
+    try {
+      const reply = await this.wsManager.request(message);
+      this.logger.info(`Server confirmed ${message.type}`, { requestId: message.requestId, reply: reply.type });
+      return 'delivered';
+    } catch (error) {
+      if (error.code === 'server_error') {
+        this.logger.error(`Server refused ${message.type}`, { requestId: message.requestId, error: error.message });
+        return 'refused';
+      }
+      this.logger.warn(`Failed to deliver ${message.type}`, { requestId: message.requestId, error: error.message });
+      return 'retry';
+    }
+  }
+
+  /**
+   * Send a Designer readiness change over the WebSocket, or keep it for the next registration
+   * @param {string} type - 'designer_ready' or 'designer_gone'
+   * @param {object} designer - { tabId, url, title, capabilities }
+   * @returns {boolean} Whether it was sent now
+   */
+  sendDesignerReadiness(type, designer) {
+    const message = {
+      type: type,
+      id: this.extensionId,
+      tabId: designer.tabId,
+      url: designer.url,
+      title: designer.title,
+      operations: designer.capabilities?.operations || null,
+      timestamp: new Date().toISOString()
+    };
+
+    if (this.wsManager.send(message)) {
+      this.pendingReadiness.delete(designer.tabId);
+      return true;
+    }
+
+    this.pendingReadiness.set(designer.tabId, message);
+    this.logger.debug(`Kept ${type} until the server is registered`, { tabId: designer.tabId });
+    return false;
+  }
+
+  /**
+   * Send the readiness changes that couldn't be sent earlier (after registration)
+   */
+  flushReadiness() {
+    const pending = [...this.pendingReadiness.values()];
+    this.pendingReadiness.clear();
+    pending.forEach(message => this.sendDesignerReadiness(message.type, { ...message, capabilities: { operations: message.operations } }));
+  }
+
+  /**
+   * Increment a statistic and notify listeners
+   * @param {string} name - 'requests' or 'successes'
+   */
+  _count(name) {
+    this.stats[name]++;
+    this._emit('stats', { ...this.stats });
+  }
+
+  /**
+   * Emit an event to listeners
+   * @param {string} event - The event name
+   * @param {*} data - The event data
+   */
+  _emit(event, data) {
+    this.listeners[event].forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        this.logger.error('Error in event listener', { event, error: error.message });
+      }
+    });
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ServerRequestHandler;
+} else {
+  self.ServerRequestHandler = ServerRequestHandler;
+}
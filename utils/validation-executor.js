@@ -6,89 +6,134 @@
 class ValidationExecutor {
   constructor() {
     this.logger = new Logger('ValidationExecutor');
+    this.diagnostics = new WFDLDiagnostics();
+    this.capabilities = new DesignerCapabilities();
   }
 
   /**
-   * Execute WFDL validation on a Designer page
-   * @param {number} tabId - The tab ID to execute validation on
-   * @param {string} wfdlString - The WFDL string to validate
+   * Export a Designer page's training data
+   * @param {number} tabId - The Designer tab ID
    * @param {string} requestId - The request ID for tracking
-   * @returns {Promise<object>} The validation result
+   * @returns {Promise<object>} The formatted result; validationResult is the export ({ components, ... })
    */
-  //was executeValidation
-  async executeGetWFDL(tabId, wfdlString, requestId = null) {
-    this.logger.info('getting WFDL', { tabId, requestId });
+  async exportPage(tabId, requestId = null) {
+    this.logger.info('Exporting Designer page via chrome.scripting', { tabId, requestId });
 
     try {
-      // Verify tab is available and loaded
-      const tab = await this._verifyTab(tabId);
+      // Verify the tab is still available, waiting (up to a limit) for the Designer to load
+      const tab = await this.waitForDesigner(tabId, 'export');
 
-      // Execute validation using chrome.scripting API 
-      const result = await this._executeScriptGetWFDL(tabId, wfdlString);
+      // Routed to the export API this Designer has
+      const method = await this.capabilities.resolve(tabId, 'export');
+      const result = await this._executeScriptGetWFDL(tabId, method);
 
       if (!result.success) {
-        throw new Error(result.error || 'Getting WFDL failed');
+        throw Object.assign(new Error(result.error || 'Export failed'), { code: result.code });
       }
 
-      // Format the result consistently
-      // const formattedResult = this._formatValidationResult(result.data, wfdlString, requestId, tab); 
-      const formattedResult = result;
+      this.logger.info('Designer export completed successfully', { requestId });
+      return {
+        success: true,
+        requestId: requestId,
+        validationResult: result.data,
+        source: `wf.${method}`,
+        context: {
+          url: tab.url,
+          title: tab.title,
+          tabId: tab.id
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      this.logger.error('Designer export failed', { error: error.message, requestId, tabId });
+
+      if (error.message.includes('Could not establish connection') ||
+          error.message.includes('Receiving end does not exist')) {
+        throw new Error('Cannot communicate with Designer page - content script not loaded. Please refresh the Designer page and try again.');
+      }
+
+      if (error.code === 'timeout') {
+        throw new Error('Designer page export timed out - page may be busy or unresponsive');
+      }
+
+      throw new Error(`Designer validation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate a WFDL string on a Designer page with wf.validateWFDL
+   * @param {number} tabId - The tab ID to validate on
+   * @param {string} wfdlString - The WFDL string to validate
+   * @param {string} requestId - The request ID for tracking
+   * @returns {Promise<object>} The formatted result; validationResult is { valid, diagnostics, validatedAt, source }
+   */
+  async validateWFDL(tabId, wfdlString, requestId = null) {
+    this.logger.info('Validating WFDL', { tabId, requestId, length: wfdlString.length });
+
+    try {
+      const tab = await this._verifyTab(tabId, 'validate');
+      const { wfdl: validation } = await this._executeScriptValidate(tabId, { wfdl: wfdlString });
 
-      this.logger.info('Got WFDL successfully', { requestId });
-      return formattedResult;
+      this.logger.info('WFDL validated', { requestId, valid: validation.valid, diagnostics: validation.diagnostics.length });
+      return this._formatValidationResult(validation, wfdlString, requestId, tab);
 
     } catch (error) {
-      this.logger.error('Gettng WFDL failed', { error: error.message, requestId });
+      this.logger.error('WFDL validation failed', { error: error.message, requestId });
       throw error;
     }
   }
 
   /**
-   * Test if validation is available on a tab
-   * @param {number} tabId - The tab ID to test
-   * @returns {Promise<object>} Availability test result
+   * Round-trip exported components through wf.validateWFDL on a Designer page
+   * @param {number} tabId - The tab ID to validate on
+   * @param {object} components - Map of component cid to WFDL
+   * @returns {Promise<object>} Map of cid to { valid, diagnostics, validatedAt, source }
    */
-  // async testValidationAvailability(tabId) {
-  //   this.logger.info('Testing validation availability', { tabId });
-
-  //   try {
-  //     const tab = await this._verifyTab(tabId);
-
-  //     // Test if wf.validateWFDL is available
-  //     const result = await chrome.scripting.executeScript({
-  //       target: { tabId: tabId },
-  //       func: this._testWfdlAvailability,
-  //       world: 'MAIN'
-  //     });
-
-  //     const availability = result[0]?.result || { available: false };
-
-  //     this.logger.info('Validation availability test completed', {
-  //       tabId,
-  //       available: availability.available
-  //     });
-
-  //     return {
-  //       available: availability.available,
-  //       wfType: availability.wfType,
-  //       validateType: availability.validateType,
-  //       error: availability.error,
-  //       tab: {
-  //         id: tab.id,
-  //         url: tab.url,
-  //         title: tab.title
-  //       }
-  //     };
-
-  //   } catch (error) {
-  //     this.logger.error('Availability test failed', { error: error.message, tabId });
-  //     return {
-  //       available: false,
-  //       error: error.message,
-  //       tab: null
-  //     };
-  //   }
-  // }
+  async validateComponents(tabId, components) {
+    this.logger.info('Validating exported components', { tabId, count: Object.keys(components).length });
+
+    await this._verifyTab(tabId, 'validate');
+    const validations = await this._executeScriptValidate(tabId, components);
+
+    const invalid = Object.values(validations).filter(validation => !validation.valid).length;
+    this.logger.info('Component validation completed', { tabId, invalid });
+
+    return validations;
+  }
+
+  /**
+   * Run wf.validateWFDL on the page for each entry and normalize the results
+   * @param {number} tabId - The tab ID
+   * @param {object} components - Map of key to WFDL
+   * @returns {Promise<object>} Map of key to { valid, diagnostics, validatedAt, source }
+   */
+  async _executeScriptValidate(tabId, components) {
+    const method = await this.capabilities.resolve(tabId, 'validate');
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      func: this._executeWfdlValidateAll,
+      args: [components, method],
+      world: 'MAIN'
+    });
+
+    const result = results[0]?.result;
+    if (!result || !result.success) {
+      throw new Error(result?.error || 'No result from script execution');
+    }
+
+    const validatedAt = new Date().toISOString();
+    const validations = {};
+
+    Object.entries(result.data).forEach(([cid, entry]) => {
+      const validation = entry.success
+        ? this.diagnostics.normalize(entry.result)
+        : { valid: false, diagnostics: this.diagnostics.normalize(entry.error).diagnostics };
+      validations[cid] = { ...validation, validatedAt, source: `wf.${method}` };
+    });
+
+    return validations;
+  }
 
   /**
    * Get debug information from a Designer page
@@ -108,9 +153,11 @@ class ValidationExecutor {
       });
 
       const debugInfo = result[0]?.result || {};
+      const capabilities = await this.capabilities.get(tabId, { refresh: true });
 
       return {
         ...debugInfo,
+        capabilities,
         tab: {
           id: tab.id,
           url: tab.url,
@@ -129,21 +176,19 @@ class ValidationExecutor {
   }
 
   /**
-   * Verify that a tab is available and ready for validation
+   * Verify that a tab is available and ready for an operation
    * @param {number} tabId - The tab ID to verify
+   * @param {string|null} operation - The Designer operation the caller needs ('export', 'validate'),
+   *   or null to only wait for the page to load
    * @returns {Promise<object>} The tab object
    */
-  async _verifyTab(tabId) {
+  async _verifyTab(tabId, operation = null) {
     const tab = await chrome.tabs.get(tabId);
 
     if (!tab) {
       throw new Error('Tab no longer exists');
     }
 
-    if (tab.status !== 'complete') {
-      throw new Error(`Tab is not fully loaded (status: ${tab.status})`);
-    }
-
     if (tab.discarded) {
       throw new Error('Tab has been discarded - please refresh the page');
     }
@@ -152,20 +197,64 @@ class ValidationExecutor {
       throw new Error('Not on a Webflow Designer page');
     }
 
-    return tab;
+    return this.waitForDesigner(tabId, operation);
   }
 
   /**
-   * Execute validation script on the page
+   * Wait until a tab has loaded and the Designer wf API for an operation is usable
    * @param {number} tabId - The tab ID
-   * @param {string} wfdlString - The WFDL string to validate
+   * @param {string|null} operation - The operation the caller needs ('export', 'validate', ...),
+   *   or null to only wait for the page to load
+   * @param {number} timeout - Milliseconds to wait (default CONFIG.readiness.requestTimeout)
+   * @returns {Promise<object>} The tab object once ready
+   */
+  async waitForDesigner(tabId, operation = 'export', timeout = CONFIG.readiness.requestTimeout) {
+    const deadline = Date.now() + timeout;
+    let reason = 'tab is loading';
+
+    while (true) {
+      const tab = await chrome.tabs.get(tabId);
+      if (tab.discarded) {
+        throw new Error('Designer tab has been discarded - please refresh the page');
+      }
+
+      if (tab.status === 'complete' && !operation) {
+        return tab;
+      }
+
+      if (tab.status === 'complete') {
+        try {
+          const capabilities = await this.capabilities.get(tabId);
+          if (capabilities.operations[operation]) {
+            return tab;
+          }
+          this.capabilities.invalidate(tabId);
+          reason = capabilities.wfType === 'undefined' ? 'wf has not loaded' : `wf has no ${operation} API yet`;
+        } catch (error) {
+          reason = error.message;
+        }
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Designer not ready after ${timeout}ms (${reason})`);
+      }
+
+      this.logger.debug('Waiting for Designer', { tabId, reason });
+      await new Promise(resolve => setTimeout(resolve, CONFIG.readiness.pollInterval));
+    }
+  }
+
+  /**
+   * Execute the export script on the page
+   * @param {number} tabId - The tab ID
+   * @param {string} method - The wf export method to call
    * @returns {Promise<object>} The script execution result
    */
-  async _executeScriptGetWFDL(tabId, wfdlString) {
+  async _executeScriptGetWFDL(tabId, method) {
     const results = await chrome.scripting.executeScript({
       target: { tabId: tabId },
       func: this._executeWfdlGet,
-      args: [wfdlString], //not sure what to do if there is no arguments
+      args: [method, CONFIG.pageBridge.exportTimeout],
       world: 'MAIN' // Execute in the page's main world context
     });
 
@@ -178,7 +267,7 @@ class ValidationExecutor {
    * @param {string} wfdlString - The WFDL string that was validated
    * @param {string} requestId - The request ID
    * @param {object} tab - The tab information
-   * @returns {object} Formatted validation result
+   * @returns {object} Formatted validation result; source is the wf method that ran
    */
   _formatValidationResult(validationResult, wfdlString, requestId, tab) {
     return {
@@ -186,7 +275,7 @@ class ValidationExecutor {
       requestId: requestId,
       wfdl: wfdlString,
       validationResult: validationResult,
-      source: 'wf.validateWFDL',
+      source: validationResult.source,
       context: {
         url: tab.url,
         title: tab.title,
@@ -197,53 +286,76 @@ class ValidationExecutor {
   }
 
   /**
-   * Script function to execute extractTrainingData()
+   * Script function to execute the export API (extractTrainingData() or exportTrainingData())
    * This function is injected into the page context
-   * @returns {object} output of the extractTrainingData() (WFDL of the page)
+   * chrome.scripting awaits the returned promise, so slow exports are waited for (up to timeout ms)
+   * @param {string} method - The wf export method to call
+   * @param {number} timeout - Milliseconds to wait for the export
+   * @returns {Promise<object>} output of the export (WFDL of the page)
    */
-  _executeWfdlGet(notuse) {
+  async _executeWfdlGet(method, timeout) {
     try {
-      // Check if wf.extractTrainingData() is available
-      if (typeof wf === 'undefined' || typeof wf.extractTrainingData !== 'function') {
+      // Check if the export method is available
+      if (typeof wf === 'undefined' || typeof wf[method] !== 'function') {
         return {
           success: false,
-          error: 'wf.extractTrainingData not available in page context'
+          error: `wf.${method} not available in page context`
         };
       }
 
-      // Execute extractTrainingData()
-      const result = wf.extractTrainingData();
+      // Execute the export
+      const result = await Promise.race([
+        Promise.resolve(wf[method]()),
+        new Promise((resolve, reject) => setTimeout(() => reject(Object.assign(new Error(`wf.${method} timed out after ${timeout}ms`), { code: 'timeout' })), timeout))
+      ]);
 
       return {
         success: true,
-        data: result
+        data: result === undefined ? null : JSON.parse(JSON.stringify(result))
       };
 
     } catch (error) {
       return {
         success: false,
-        error: `get WFDL failed: ${error.message}`
+        error: `get WFDL failed: ${error.message}`,
+        code: error.code || null
       };
     }
   }
 
   /**
-   * Script function to test WFDL availability
+   * Script function to run wf.validateWFDL() on every component
    * This function is injected into the page context
-   * @returns {object} Availability test result
+   * @param {object} components - Map of component cid to WFDL
+   * @param {string} method - The wf validation method to call
+   * @returns {Promise<object>} Per-component raw results ({ success, data: { [cid]: { success, result | error } } })
    */
-  _testWfdlAvailability() {
+  async _executeWfdlValidateAll(components, method) {
     try {
-      return {
-        available: typeof wf !== 'undefined' && typeof wf.validateWFDL === 'function',
-        wfType: typeof wf,
-        validateType: typeof wf?.validateWFDL,
-        timestamp: new Date().toISOString()
-      };
+      if (typeof wf === 'undefined' || typeof wf[method] !== 'function') {
+        return {
+          success: false,
+          error: `wf.${method} not available in page context`
+        };
+      }
+
+      const data = {};
+      for (const [cid, code] of Object.entries(components)) {
+        try {
+          const result = await wf[method](code);
+          // Strip anything that can't be passed back to the extension
+          data[cid] = { success: true, result: result === undefined ? null : JSON.parse(JSON.stringify(result)) };
+        } catch (error) {
+          data[cid] = { success: false, error: error.message };
+        }
+      }
+
+      return { success: true, data };
+
     } catch (error) {
       return {
-        available: false,
-        error: error.message
+        success: false,
+        error: `WFDL validation failed: ${error.message}`
       };
     }
   }
@@ -298,5 +410,5 @@ class ValidationExecutor {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = ValidationExecutor;
 } else {
-  window.ValidationExecutor = ValidationExecutor;
+  self.ValidationExecutor = ValidationExecutor;
 }
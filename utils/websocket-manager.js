@@ -1,25 +1,73 @@
 /**
  * (HTMLsummary, WDFL) generater - WebSocket Manager
  * Centralized WebSocket connection management
+ *
+ * send() is fire-and-forget. request() adds a correlationId to the message and resolves with the
+ * server's reply carrying the same correlationId; it rejects if the reply is an error, none arrives
+ * within the timeout, or the connection closes first.
+ *
+ * Registration: 'register' advertises CONFIG.websocket.protocol ({ version, minVersion }) and what
+ * the describe() callback reports (extension version, capabilities). The server answers 'registered'
+ * with the protocol version it chose, or 'register_rejected' with a reason; a rejected client closes
+ * the connection and does not reconnect. A 'registered' without a version is a pre-versioning server
+ * and is treated as version 1, as is a server that doesn't answer registration within
+ * CONFIG.websocket.requestTimeout.
+ *
+ * 'register' is the first message on every connection: 'open' is emitted once it has been sent, and
+ * send() refuses (returns false) anything else until the server has answered, so callers know the
+ * message did not go out and can send it after 'registered'.
+ *
+ * Unexpected closes are retried on the ReconnectPolicy's backoff schedule, paused while the browser
+ * is offline.
  */
 
 class WebSocketManager {
-  constructor() {
+  /**
+   * @param {object} options - Manager options
+   * @param {function} options.describe - Optional () => Promise of extra registration fields
+   *   ({ extensionVersion, capabilities })
+   */
+  constructor({ describe = null } = {}) {
     this.ws = null;
     this.isConnected = false;
-    this.reconnectAttempts = 0;
+    this.reconnectPolicy = new ReconnectPolicy();
     this.heartbeatInterval = null;
     this.logger = new Logger('WebSocketManager');
     this.extensionId = chrome.runtime.id;
     this.connectionPromise = null;
+    this.describe = describe;
+
+    // Negotiated protocol version, and the server's reason if it rejected this client
+    this.isRegistered = false;
+    this.protocolVersion = null;
+    this.rejection = null;
+    this.registrationTimer = null;
+
+    // Requests waiting for a reply, by correlationId
+    this.pending = new Map();
+    this.nextRequestId = 0;
 
     // Event listeners
     this.eventListeners = {
       open: [],
       close: [],
       error: [],
-      message: []
+      message: [],
+      registered: [],
+      rejected: [],
+      reconnect: []
     };
+
+    this.reconnectPolicy.on('change', state => this._emitEvent('reconnect', state));
+
+    // Don't burn reconnection attempts while there is no network
+    if (typeof self !== 'undefined' && self.addEventListener) {
+      if (self.navigator?.onLine === false) {
+        this.reconnectPolicy.pause();
+      }
+      self.addEventListener('offline', () => this.reconnectPolicy.pause());
+      self.addEventListener('online', () => this.reconnectPolicy.resume());
+    }
   }
 
   /**
@@ -45,6 +93,9 @@ class WebSocketManager {
    * Disconnect from the WebSocket server
    */
   disconnect() {
+    // A user disconnect also stops pending reconnection attempts
+    this.reconnectPolicy.reset();
+
     if (!this.isConnected || !this.ws) {
       this.logger.warn('Not connected to WebSocket');
       return;
@@ -64,10 +115,32 @@ class WebSocketManager {
     this.connectionPromise = null;
   }
 
+  /**
+   * Reconnect now instead of waiting for the next scheduled attempt (or after giving up)
+   * @returns {Promise<boolean>} Connection success status
+   */
+  retryNow() {
+    if (this.isConnected || this.connectionPromise) {
+      return Promise.resolve(this.isConnected);
+    }
+
+    this.logger.info('Retrying connection now');
+    if (this.reconnectPolicy.exhausted) {
+      this.reconnectPolicy.reset();
+    } else {
+      this.reconnectPolicy.cancel();
+    }
+
+    return this.connect().catch(error => {
+      this.logger.error('Reconnection failed', { error: error.message });
+      return false;
+    });
+  }
+
   /**
    * Send a message through the WebSocket
    * @param {object} message - The message to send
-   * @returns {boolean} Whether the message was sent successfully
+   * @returns {boolean} Whether the message was sent; false while not connected or not registered yet
    */
   send(message) {
     if (!this.isConnected || !this.ws) {
@@ -75,6 +148,20 @@ class WebSocketManager {
       return false;
     }
 
+    if (!this.isRegistered) {
+      this.logger.debug('Cannot send message: not registered yet', { type: message.type });
+      return false;
+    }
+
+    return this._write(message);
+  }
+
+  /**
+   * Write a message to the socket
+   * @param {object} message - The message to send
+   * @returns {boolean} Whether the message was sent successfully
+   */
+  _write(message) {
     try {
       const messageString = JSON.stringify(message);
       this.ws.send(messageString);
@@ -86,6 +173,32 @@ class WebSocketManager {
     }
   }
 
+  /**
+   * Send a message and wait for the server's reply
+   * @param {object} message - The message to send
+   * @param {object} options - Request options
+   * @param {number} options.timeout - Milliseconds to wait for the reply (default CONFIG.websocket.requestTimeout)
+   * @returns {Promise<object>} The reply message
+   */
+  request(message, { timeout = CONFIG.websocket.requestTimeout } = {}) {
+    const correlationId = `${Date.now().toString(36)}-${++this.nextRequestId}`;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(correlationId);
+        reject(Object.assign(new Error(`No reply to ${message.type} after ${timeout}ms`), { code: 'timeout' }));
+      }, timeout);
+
+      this.pending.set(correlationId, { resolve, reject, timer, type: message.type });
+
+      if (!this.send({ ...message, correlationId })) {
+        clearTimeout(timer);
+        this.pending.delete(correlationId);
+        reject(Object.assign(new Error('Cannot send request: not connected'), { code: 'disconnected' }));
+      }
+    });
+  }
+
   /**
    * Add an event listener
    * @param {string} event - The event type ('open', 'close', 'error', 'message')
@@ -120,8 +233,12 @@ class WebSocketManager {
   getStatus() {
     return {
       connected: this.isConnected,
+      registered: this.isRegistered,
       extensionId: this.extensionId,
-      reconnectAttempts: this.reconnectAttempts,
+      protocolVersion: this.protocolVersion,
+      rejection: this.rejection,
+      pendingRequests: this.pending.size,
+      reconnect: this.reconnectPolicy.getState(),
       readyState: this.ws ? this.ws.readyState : null
     };
   }
@@ -137,7 +254,8 @@ class WebSocketManager {
         const wsUrl = CONFIG.websocket.prodUrl || CONFIG.websocket.devUrl;
         this.logger.info('Connecting to WebSocket', { url: wsUrl });
 
-        this.ws = new WebSocket(wsUrl);
+        const socket = new WebSocket(wsUrl);
+        this.ws = socket;
 
         const timeout = setTimeout(() => {
           this.logger.error('Connection timeout');
@@ -145,15 +263,20 @@ class WebSocketManager {
           reject(new Error('Connection timeout'));
         }, CONFIG.websocket.connectionTimeout);
 
-        this.ws.onopen = () => {
+        this.ws.onopen = async () => {
           clearTimeout(timeout);
           this.logger.info('WebSocket connected successfully');
           this.isConnected = true;
-          this.reconnectAttempts = 0;
           this.connectionPromise = null;
-
-          // Register with server
-          this._registerExtension();
+          this.isRegistered = false;
+          this.protocolVersion = null;
+          this.rejection = null;
+
+          // Register with server before anything else goes out
+          await this._registerExtension();
+          if (this.ws !== socket || !this.isConnected) {
+            return; // Closed while describing the extension
+          }
 
           // Start heartbeat
           this._startHeartbeat();
@@ -176,7 +299,9 @@ class WebSocketManager {
           });
 
           this.isConnected = false;
+          this.isRegistered = false;
           this.connectionPromise = null;
+          clearTimeout(this.registrationTimer);
 
           // Clear heartbeat
           if (this.heartbeatInterval) {
@@ -184,11 +309,14 @@ class WebSocketManager {
             this.heartbeatInterval = null;
           }
 
+          // Replies can't arrive on a closed connection
+          this._rejectPending('Connection closed before the server replied');
+
           // Notify listeners
           this._emitEvent('close', event);
 
-          // Attempt reconnection if not a clean disconnect
-          if (event.code !== 1000) {
+          // Attempt reconnection if not a clean disconnect (or a rejection, which would repeat)
+          if (event.code !== 1000 && !this.rejection) {
             this._attemptReconnection();
           }
 
@@ -217,14 +345,84 @@ class WebSocketManager {
   /**
    * Register extension with the server
    */
-  _registerExtension() {
+  async _registerExtension() {
+    const socket = this.ws;
+    let description = {};
+    if (this.describe) {
+      try {
+        description = await this.describe();
+      } catch (error) {
+        this.logger.warn('Could not describe extension for registration', { error: error.message });
+      }
+    }
+
+    if (this.ws !== socket || !this.isConnected) {
+      return;
+    }
+
     const registrationMessage = {
       type: 'register',
       id: this.extensionId,
+      protocol: { ...CONFIG.websocket.protocol },
+      ...description,
       timestamp: new Date().toISOString()
     };
 
-    this.send(registrationMessage);
+    this._write(registrationMessage);
+
+    // Servers that predate registration replies never answer
+    clearTimeout(this.registrationTimer);
+    this.registrationTimer = setTimeout(() => {
+      if (this.isConnected && !this.isRegistered && !this.rejection) {
+        this.logger.warn(`No answer to registration after ${CONFIG.websocket.requestTimeout}ms; assuming protocol version 1`);
+        this._handleRegistration({ type: 'registered' });
+      }
+    }, CONFIG.websocket.requestTimeout);
+  }
+
+  /**
+   * Apply the server's answer to registration
+   * @param {object} message - The 'registered' or 'register_rejected' message
+   */
+  _handleRegistration(message) {
+    const { version, minVersion } = CONFIG.websocket.protocol;
+    clearTimeout(this.registrationTimer);
+
+    if (message.type === 'register_rejected') {
+      this._reject(message.reason || message.message || 'Registration rejected by server', message);
+      return;
+    }
+
+    const negotiated = message.protocol?.version ?? 1;
+    if (negotiated < minVersion || negotiated > version) {
+      this._reject(`Server chose protocol version ${negotiated}; this extension supports ${minVersion}-${version}`, message);
+      return;
+    }
+
+    if (message.protocol?.version === undefined) {
+      this.logger.warn('Server did not negotiate a protocol version; assuming version 1');
+    }
+
+    this.protocolVersion = negotiated;
+    this.isRegistered = true;
+
+    // Only a registered connection counts as a successful reconnection
+    this.reconnectPolicy.reset();
+    this.logger.info('Successfully registered with server', { protocolVersion: negotiated });
+
+    this._emitEvent('registered', { protocolVersion: negotiated, server: message });
+  }
+
+  /**
+   * Give up on a server that rejected this client (or that it can't talk to)
+   * @param {string} reason - Why registration failed
+   * @param {object} message - The server's message
+   */
+  _reject(reason, message) {
+    this.rejection = reason;
+    this.logger.error('Registration rejected', { reason, supported: message.supported });
+    this._emitEvent('rejected', { reason, server: message });
+    this.ws.close(4000, 'Registration rejected');
   }
 
   /**
@@ -232,7 +430,7 @@ class WebSocketManager {
    */
   _startHeartbeat() {
     this.heartbeatInterval = setInterval(() => {
-      if (this.isConnected) {
+      if (this.isRegistered) {
         this.send({
           type: 'heartbeat',
           id: this.extensionId,
@@ -251,9 +449,15 @@ class WebSocketManager {
       const message = JSON.parse(data);
       this.logger.debug('Received message', { type: message.type });
 
+      // Replies to request() go to the caller, not the listeners
+      if (message.correlationId && this.pending.has(message.correlationId)) {
+        this._settle(message);
+        return;
+      }
+
       // Handle system messages
-      if (message.type === 'registered') {
-        this.logger.info('Successfully registered with server');
+      if (message.type === 'registered' || message.type === 'register_rejected') {
+        this._handleRegistration(message);
       } else if (message.type === 'heartbeat_ack') {
         this.logger.debug('Heartbeat acknowledged');
       } else if (message.type === 'error') {
@@ -269,24 +473,59 @@ class WebSocketManager {
   }
 
   /**
-   * Attempt to reconnect after connection loss
+   * Settle the request a reply belongs to
+   * @param {object} reply - The reply message
    */
-  _attemptReconnection() {
-    if (this.reconnectAttempts >= CONFIG.websocket.maxReconnectAttempts) {
-      this.logger.error('Max reconnection attempts reached');
-      return;
+  _settle(reply) {
+    const request = this.pending.get(reply.correlationId);
+    clearTimeout(request.timer);
+    this.pending.delete(reply.correlationId);
+
+    if (reply.type === 'error') {
+      request.reject(Object.assign(new Error(reply.message || `Server rejected ${request.type}`), { code: 'server_error', reply }));
+    } else {
+      this.logger.debug('Reply received', { type: reply.type, request: request.type });
+      request.resolve(reply);
     }
+  }
 
-    this.reconnectAttempts++;
-    this.logger.info(`Attempting reconnection (${this.reconnectAttempts}/${CONFIG.websocket.maxReconnectAttempts})`);
+  /**
+   * Reject every request still waiting for a reply
+   * @param {string} reason - The error message
+   */
+  _rejectPending(reason) {
+    this.pending.forEach(request => {
+      clearTimeout(request.timer);
+      request.reject(Object.assign(new Error(reason), { code: 'disconnected' }));
+    });
+    this.pending.clear();
+  }
 
-    setTimeout(() => {
-      if (!this.isConnected) {
-        this.connect().catch(error => {
-          this.logger.error('Reconnection failed', { error: error.message });
-        });
-      }
-    }, CONFIG.websocket.reconnectDelay);
+  /**
+   * Wait for a reconnection attempt scheduled before the service worker was suspended
+   * @returns {Promise<boolean>} Whether an attempt is still due; false when it is overdue or none was scheduled
+   */
+  async resumeReconnection() {
+    await this.reconnectPolicy.restored;
+    return this.reconnectPolicy.rearm(() => this._reconnect());
+  }
+
+  /**
+   * Schedule a reconnection attempt after connection loss
+   */
+  _attemptReconnection() {
+    this.reconnectPolicy.schedule(() => this._reconnect());
+  }
+
+  /**
+   * Run a reconnection attempt
+   */
+  _reconnect() {
+    if (!this.isConnected && !this.connectionPromise) {
+      this.connect().catch(error => {
+        this.logger.error('Reconnection failed', { error: error.message });
+      });
+    }
   }
 
   /**
@@ -311,5 +550,5 @@ class WebSocketManager {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = WebSocketManager;
 } else {
-  window.WebSocketManager = WebSocketManager;
+  self.WebSocketManager = WebSocketManager;
 }
@@ -0,0 +1,195 @@
+/**
+ * (HTMLsummary, WDFL) generater - WFDL Canonicalizer
+ * Normalizes component WFDL into a stable, comparable training target
+ *
+ * Canonical form:
+ *   - Volatile identifiers (CONFIG.canonicalization.idAttributes, UUIDs, long hex ids) become
+ *     sequential placeholders (id-1, id-2, ...), numbered in output order
+ *   - Generated class names (CONFIG.canonicalization.classHashPatterns) become cls-1, cls-2, ...
+ *   - Attributes are sorted by name; one node per line, two-space indentation
+ *   - Text whitespace is collapsed; comments are dropped
+ * The placeholder mapping is returned so identifiers can be restored with restore().
+ * Placeholders already in the source are kept as volatile values, so canonicalizing canonical
+ * WFDL returns the same WFDL and a mapping of each placeholder to itself.
+ * WFDL that does not parse falls back to whitespace normalization only.
+ */
+
+class WFDLCanonicalizer {
+  constructor() {
+    this.logger = new Logger('WFDLCanonicalizer');
+    this.parser = new WFDLParser();
+
+    const settings = CONFIG.canonicalization;
+    this.idAttributes = new Set(settings.idAttributes);
+    this.classAttributes = new Set(settings.classAttributes);
+    this.classHashPatterns = settings.classHashPatterns.map(pattern => new RegExp(pattern, 'i'));
+    this.volatileValuePattern = new RegExp(settings.volatileValuePattern, 'i');
+    this.placeholderPatterns = { id: /^id-\d+$/, cls: /^cls-\d+$/ };
+  }
+
+  /**
+   * Canonicalize component WFDL
+   * @param {string} source - The WFDL source
+   * @returns {object} { wfdl, identifiers, parsed } where identifiers maps placeholder to original value
+   */
+  canonicalize(source) {
+    const { ast, error } = this.parser.tryParse(source || '');
+
+    if (error) {
+      this.logger.debug('WFDL did not parse; normalizing whitespace only', { error: error.message });
+      return { wfdl: this._normalizeWhitespace(source || ''), identifiers: {}, parsed: false };
+    }
+
+    const state = { identifiers: {}, placeholders: new Map(), counters: { id: 0, cls: 0 } };
+    const lines = [];
+    ast.children.forEach(child => this._print(child, 0, lines, state));
+
+    return { wfdl: lines.join('\n'), identifiers: state.identifiers, parsed: true };
+  }
+
+  /**
+   * Put the original identifiers back into canonical WFDL
+   * @param {string} canonicalWfdl - The canonical WFDL
+   * @param {object} identifiers - The placeholder mapping from canonicalize()
+   * @returns {string} The canonical WFDL with original identifiers
+   */
+  restore(canonicalWfdl, identifiers) {
+    const { ast, error } = this.parser.tryParse(canonicalWfdl);
+    if (error) {
+      return canonicalWfdl;
+    }
+
+    const lines = [];
+    const state = { restore: identifiers };
+    ast.children.forEach(child => this._print(child, 0, lines, state));
+    return lines.join('\n');
+  }
+
+  /**
+   * Hash canonical WFDL
+   * @param {string} canonicalWfdl - The canonical WFDL
+   * @returns {Promise<string>} Hex-encoded SHA-256 digest
+   */
+  async hash(canonicalWfdl) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonicalWfdl));
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Print a node in canonical form
+   * @param {object} node - The AST node
+   * @param {number} depth - The nesting depth
+   * @param {Array<string>} lines - Output lines
+   * @param {object} state - Placeholder state ({ identifiers, placeholders, counters }) or { restore }
+   */
+  _print(node, depth, lines, state) {
+    const indent = '  '.repeat(depth);
+
+    switch (node.type) {
+      case 'Element': {
+        const attributes = node.attributes
+          .slice()
+          .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+          .map(attribute => this._printAttribute(attribute, state));
+        const open = `<${[node.name, ...attributes].join(' ')}`;
+
+        if (node.children.length === 0) {
+          lines.push(`${indent}${open}${node.name || attributes.length ? ' />' : '></>'}`);
+          return;
+        }
+
+        lines.push(`${indent}${open}>`);
+        node.children.forEach(child => this._print(child, depth + 1, lines, state));
+        lines.push(`${indent}</${node.name}>`);
+        return;
+      }
+
+      case 'Text': {
+        const text = node.value.replace(/\s+/g, ' ').trim();
+        if (text) {
+          lines.push(`${indent}${text}`);
+        }
+        return;
+      }
+
+      case 'Expression':
+        lines.push(`${indent}{${node.value.replace(/\s+/g, ' ')}}`);
+        return;
+
+      case 'Comment':
+        return; // Comments are not part of the training target
+    }
+  }
+
+  /**
+   * Print an attribute, replacing (or restoring) volatile identifiers
+   * @param {object} attribute - The Attribute node
+   * @param {object} state - Placeholder state
+   * @returns {string} The printed attribute
+   */
+  _printAttribute(attribute, state) {
+    if (attribute.valueType === 'boolean') {
+      return attribute.name;
+    }
+
+    if (attribute.valueType === 'expression') {
+      return `${attribute.name}={${attribute.value.replace(/\s+/g, ' ')}}`;
+    }
+
+    let value = String(attribute.value).replace(/\s+/g, ' ').trim();
+
+    if (state.restore) {
+      value = value.split(' ').map(token => state.restore[token] ?? token).join(' ');
+    } else if (this.idAttributes.has(attribute.name) || this.volatileValuePattern.test(value) ||
+        this.placeholderPatterns.id.test(value)) {
+      value = this._placeholder(value, 'id', state);
+    } else if (this.classAttributes.has(attribute.name)) {
+      value = value
+        .split(' ')
+        .map(token => (this.placeholderPatterns.cls.test(token) || this.classHashPatterns.some(pattern => pattern.test(token))
+          ? this._placeholder(token, 'cls', state)
+          : token))
+        .join(' ');
+    }
+
+    const quote = value.includes('"') && !value.includes("'") ? "'" : '"';
+    return `${attribute.name}=${quote}${quote === '"' ? value.replace(/"/g, '&quot;') : value}${quote}`;
+  }
+
+  /**
+   * Get the placeholder for a volatile value, assigning the next one on first sight
+   * @param {string} value - The original value
+   * @param {string} prefix - The placeholder prefix ('id' or 'cls')
+   * @param {object} state - Placeholder state
+   * @returns {string} The placeholder
+   */
+  _placeholder(value, prefix, state) {
+    const key = `${prefix}:${value}`;
+    if (!state.placeholders.has(key)) {
+      const placeholder = `${prefix}-${++state.counters[prefix]}`;
+      state.placeholders.set(key, placeholder);
+      state.identifiers[placeholder] = value;
+    }
+    return state.placeholders.get(key);
+  }
+
+  /**
+   * Fallback normalization for WFDL that does not parse
+   * @param {string} source - The WFDL source
+   * @returns {string} The source with trimmed lines and no blank lines
+   */
+  _normalizeWhitespace(source) {
+    return source
+      .split(/\r?\n/)
+      .map(line => line.replace(/\s+$/, ''))
+      .filter(line => line.trim())
+      .join('\n');
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WFDLCanonicalizer;
+} else {
+  self.WFDLCanonicalizer = WFDLCanonicalizer;
+}
@@ -0,0 +1,150 @@
+/**
+ * (HTMLsummary, WDFL) generater - WFDL Diagnostics
+ * Normalizes wf.validateWFDL() output into structured diagnostics
+ *
+ * Validation result: { valid, diagnostics }
+ * Diagnostic:        { severity: 'error' | 'warning' | 'info', message, line, column, endLine, endColumn, code }
+ * Positions are 1-based, or null when the validator did not report them.
+ */
+
+class WFDLDiagnostics {
+  constructor() {
+    this.logger = new Logger('WFDLDiagnostics');
+  }
+
+  /**
+   * Normalize a raw wf.validateWFDL() result
+   * @param {*} raw - Whatever the Designer returned (boolean, string, array or object)
+   * @returns {object} The validation result ({ valid, diagnostics })
+   */
+  normalize(raw) {
+    if (typeof raw === 'boolean') {
+      return { valid: raw, diagnostics: raw ? [] : [this._diagnostic('WFDL is not valid')] };
+    }
+
+    if (raw === null || raw === undefined) {
+      return { valid: true, diagnostics: [] };
+    }
+
+    if (typeof raw === 'string') {
+      return { valid: false, diagnostics: [this._diagnostic(raw)] };
+    }
+
+    if (Array.isArray(raw)) {
+      const diagnostics = raw.map(entry => this._diagnostic(entry));
+      return { valid: !diagnostics.some(diagnostic => diagnostic.severity === 'error'), diagnostics };
+    }
+
+    const diagnostics = [
+      ...this._list(raw.diagnostics || raw.errors || raw.issues || raw.messages, 'error'),
+      ...this._list(raw.warnings, 'warning')
+    ];
+    if (typeof raw.error === 'string') {
+      diagnostics.push(this._diagnostic(raw.error));
+    }
+
+    const reported = raw.valid ?? raw.isValid ?? raw.success;
+    const valid = typeof reported === 'boolean'
+      ? reported
+      : !diagnostics.some(diagnostic => diagnostic.severity === 'error');
+
+    return { valid, diagnostics };
+  }
+
+  /**
+   * Convert a diagnostic position to character offsets in the WFDL it refers to
+   * @param {string} source - The validated WFDL
+   * @param {object} diagnostic - A normalized diagnostic
+   * @returns {object|null} { start, end } offsets, or null if the diagnostic has no position;
+   *   without an end position the range runs to the end of the line
+   */
+  range(source, diagnostic) {
+    if (diagnostic.line === null) {
+      return null;
+    }
+
+    const lines = source.split('\n');
+    const offsetOf = (line, column) => {
+      const index = Math.min(Math.max(line, 1), lines.length) - 1;
+      let offset = 0;
+      for (let i = 0; i < index; i++) {
+        offset += lines[i].length + 1;
+      }
+      return offset + Math.min(Math.max((column || 1) - 1, 0), lines[index].length);
+    };
+
+    const start = offsetOf(diagnostic.line, diagnostic.column);
+    const end = diagnostic.endLine !== null
+      ? offsetOf(diagnostic.endLine, diagnostic.endColumn)
+      : offsetOf(diagnostic.line, Infinity);
+
+    return { start, end: Math.max(end, Math.min(start + 1, source.length)) };
+  }
+
+  /**
+   * Normalize a list of diagnostics
+   * @param {*} list - The raw list (or a single entry)
+   * @param {string} defaultSeverity - Severity for entries that don't state one
+   * @returns {Array<object>} Diagnostics
+   */
+  _list(list, defaultSeverity) {
+    if (!list) {
+      return [];
+    }
+    return (Array.isArray(list) ? list : [list]).map(entry => this._diagnostic(entry, defaultSeverity));
+  }
+
+  /**
+   * Normalize one diagnostic
+   * @param {*} entry - A message string or a diagnostic-like object
+   * @param {string} defaultSeverity - Severity if the entry doesn't state one
+   * @returns {object} The diagnostic
+   */
+  _diagnostic(entry, defaultSeverity = 'error') {
+    if (typeof entry !== 'object' || entry === null) {
+      return { severity: defaultSeverity, message: String(entry), line: null, column: null, endLine: null, endColumn: null, code: null };
+    }
+
+    const position = entry.loc?.start || entry.location?.start || entry.location || entry.start || entry.position || {};
+    const line = entry.line ?? entry.lineNumber ?? position.line ?? null;
+    const column = entry.column ?? entry.col ?? entry.columnNumber ?? position.column ?? position.col ?? null;
+    const end = entry.loc?.end || entry.location?.end || entry.end || {};
+    const endLine = entry.endLine ?? end.line ?? null;
+    const endColumn = entry.endColumn ?? end.column ?? end.col ?? null;
+
+    return {
+      severity: this._severity(entry.severity ?? entry.level ?? entry.type, defaultSeverity),
+      message: entry.message || entry.msg || entry.text || JSON.stringify(entry),
+      line: line !== null && Number.isFinite(Number(line)) ? Number(line) : null,
+      column: column !== null && Number.isFinite(Number(column)) ? Number(column) : null,
+      endLine: endLine !== null && Number.isFinite(Number(endLine)) ? Number(endLine) : null,
+      endColumn: endColumn !== null && Number.isFinite(Number(endColumn)) ? Number(endColumn) : null,
+      code: entry.code ?? entry.rule ?? null
+    };
+  }
+
+  /**
+   * Map severity names and numeric levels to error/warning/info
+   * @param {*} value - The reported severity
+   * @param {string} fallback - Severity when none is reported
+   * @returns {string} 'error', 'warning' or 'info'
+   */
+  _severity(value, fallback) {
+    if (value === undefined || value === null) {
+      return fallback;
+    }
+
+    const name = String(value).toLowerCase();
+    if (name === '1' || name.startsWith('err') || name === 'fatal') return 'error';
+    if (name === '2' || name.startsWith('warn')) return 'warning';
+    if (name === '3' || name === '4' || name === 'info' || name === 'hint' || name === 'information') return 'info';
+    return fallback;
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WFDLDiagnostics;
+} else {
+  self.WFDLDiagnostics = WFDLDiagnostics;
+}
@@ -0,0 +1,341 @@
+/**
+ * (HTMLsummary, WDFL) generater - WFDL Parser
+ * Tokenizes component WFDL and parses it into an AST
+ *
+ * WFDL is treated as JSX-like markup:
+ *   <Name attr="string" attr='string' attr={expression} flag>text {expression}</Name>
+ *   <Name />, fragments (<>...</>) and <!-- comments -->
+ *
+ * AST node types (every node carries loc: { start, end } with { line, column, offset }):
+ *   Document   { children }
+ *   Element    { name, attributes, children, selfClosing }
+ *   Attribute  { name, value, valueType: 'string' | 'expression' | 'boolean' | 'unquoted' }
+ *   Text       { value }
+ *   Expression { value }
+ *   Comment    { value }
+ *
+ * Loaded in the popup, the background service worker and the content script.
+ */
+
+/**
+ * Syntax error with the position where it occurred (1-based line and column)
+ */
+class WFDLSyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} (line ${position.line}, column ${position.column})`);
+    this.name = 'WFDLSyntaxError';
+    this.reason = message;
+    this.line = position.line;
+    this.column = position.column;
+    this.offset = position.offset;
+  }
+}
+
+class WFDLParser {
+  /**
+   * @param {object} options - Parser options
+   * @param {boolean} options.preserveWhitespace - Keep whitespace-only text nodes (default false)
+   * @param {Array<string>} options.voidElements - Element names that never have children or a closing tag
+   */
+  constructor(options = {}) {
+    this.preserveWhitespace = options.preserveWhitespace || false;
+    this.voidElements = new Set(options.voidElements || [
+      'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+      'link', 'meta', 'param', 'source', 'track', 'wbr'
+    ]);
+  }
+
+  /**
+   * Parse WFDL into an AST
+   * @param {string} source - The WFDL source
+   * @returns {object} The Document node
+   * @throws {WFDLSyntaxError} If the source is not well-formed
+   */
+  parse(source) {
+    const tokens = this.tokenize(source);
+    const positionOf = this._positionResolver(source);
+
+    const root = { type: 'Document', children: [], loc: { start: positionOf(0), end: positionOf(source.length) } };
+    const stack = [root];
+    let element = null; // Element whose opening tag is being read
+
+    tokens.forEach(token => {
+      const parent = stack[stack.length - 1];
+      const loc = { start: positionOf(token.start), end: positionOf(token.end) };
+
+      switch (token.type) {
+        case 'tagOpen':
+          element = { type: 'Element', name: token.name, attributes: [], children: [], selfClosing: false, loc };
+          break;
+
+        case 'attribute':
+          if (element.attributes.some(attribute => attribute.name === token.name)) {
+            throw new WFDLSyntaxError(`Duplicate attribute "${token.name}" on <${element.name}>`, loc.start);
+          }
+          element.attributes.push({ type: 'Attribute', name: token.name, value: token.value, valueType: token.valueType, loc });
+          break;
+
+        case 'tagEnd':
+          element.loc.end = loc.end;
+          element.selfClosing = token.selfClosing;
+          parent.children.push(element);
+          if (!token.selfClosing && !this.voidElements.has(element.name)) {
+            stack.push(element);
+          }
+          element = null;
+          break;
+
+        case 'tagClose': {
+          if (stack.length === 1) {
+            throw new WFDLSyntaxError(`Unexpected closing tag </${token.name}>`, loc.start);
+          }
+          if (parent.name !== token.name) {
+            throw new WFDLSyntaxError(`Mismatched closing tag </${token.name}>, expected </${parent.name}>`, loc.start);
+          }
+          parent.loc.end = loc.end;
+          stack.pop();
+          break;
+        }
+
+        case 'text':
+          if (this.preserveWhitespace || token.value.trim()) {
+            parent.children.push({ type: 'Text', value: token.value, loc });
+          }
+          break;
+
+        case 'expression':
+          parent.children.push({ type: 'Expression', value: token.value, loc });
+          break;
+
+        case 'comment':
+          parent.children.push({ type: 'Comment', value: token.value, loc });
+          break;
+      }
+    });
+
+    if (stack.length > 1) {
+      const unclosed = stack[stack.length - 1];
+      throw new WFDLSyntaxError(`Unclosed element <${unclosed.name}>`, unclosed.loc.start);
+    }
+
+    return root;
+  }
+
+  /**
+   * Parse without throwing
+   * @param {string} source - The WFDL source
+   * @returns {object} { ast, error } where exactly one is non-null
+   */
+  tryParse(source) {
+    try {
+      return { ast: this.parse(source), error: null };
+    } catch (error) {
+      if (error instanceof WFDLSyntaxError) {
+        return { ast: null, error };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Split WFDL into tokens
+   * @param {string} source - The WFDL source
+   * @returns {Array<object>} Tokens ({ type, start, end, ... }) with offsets into the source
+   * @throws {WFDLSyntaxError} On unterminated tags, strings, expressions or comments
+   */
+  tokenize(source) {
+    if (typeof source !== 'string') {
+      throw new TypeError('WFDL source must be a string');
+    }
+
+    const positionOf = this._positionResolver(source);
+    const fail = (message, offset) => {
+      throw new WFDLSyntaxError(message, positionOf(offset));
+    };
+
+    const tokens = [];
+    const length = source.length;
+    let i = 0;
+
+    const isNameChar = (char) => /[A-Za-z0-9_\-.:$@]/.test(char);
+    const skipWhitespace = () => {
+      while (i < length && /\s/.test(source[i])) i++;
+    };
+    const readName = () => {
+      const start = i;
+      while (i < length && isNameChar(source[i])) i++;
+      return source.slice(start, i);
+    };
+
+    while (i < length) {
+      const start = i;
+
+      // Comment
+      if (source.startsWith('<!--', i)) {
+        const close = source.indexOf('-->', i + 4);
+        if (close === -1) fail('Unterminated comment', start);
+        tokens.push({ type: 'comment', value: source.slice(i + 4, close), start, end: close + 3 });
+        i = close + 3;
+        continue;
+      }
+
+      // Closing tag
+      if (source.startsWith('</', i)) {
+        i += 2;
+        skipWhitespace();
+        const name = readName();
+        skipWhitespace();
+        if (source[i] !== '>') fail(`Expected ">" to end closing tag </${name}>`, i);
+        i++;
+        tokens.push({ type: 'tagClose', name, start, end: i });
+        continue;
+      }
+
+      // Opening tag
+      if (source[i] === '<') {
+        i++;
+        const name = readName();
+        if (!name && source[i] !== '>') fail(`Invalid tag name "${source[i] || ''}"`, i);
+        tokens.push({ type: 'tagOpen', name, start, end: i });
+
+        while (true) {
+          skipWhitespace();
+          if (i >= length) fail(`Unterminated tag <${name}>`, start);
+
+          if (source.startsWith('/>', i)) {
+            tokens.push({ type: 'tagEnd', selfClosing: true, start: i, end: i + 2 });
+            i += 2;
+            break;
+          }
+          if (source[i] === '>') {
+            tokens.push({ type: 'tagEnd', selfClosing: false, start: i, end: i + 1 });
+            i++;
+            break;
+          }
+
+          const attributeStart = i;
+          const attributeName = readName();
+          if (!attributeName) fail(`Unexpected character "${source[i]}" in tag <${name}>`, i);
+
+          skipWhitespace();
+          if (source[i] !== '=') {
+            tokens.push({ type: 'attribute', name: attributeName, value: true, valueType: 'boolean', start: attributeStart, end: i });
+            continue;
+          }
+
+          i++;
+          skipWhitespace();
+          const quote = source[i];
+
+          if (quote === '"' || quote === "'") {
+            const close = source.indexOf(quote, i + 1);
+            if (close === -1) fail(`Unterminated string for attribute "${attributeName}"`, i);
+            tokens.push({ type: 'attribute', name: attributeName, value: source.slice(i + 1, close), valueType: 'string', start: attributeStart, end: close + 1 });
+            i = close + 1;
+          } else if (quote === '{') {
+            const close = this._matchBrace(source, i, fail);
+            tokens.push({ type: 'attribute', name: attributeName, value: source.slice(i + 1, close).trim(), valueType: 'expression', start: attributeStart, end: close + 1 });
+            i = close + 1;
+          } else {
+            const valueStart = i;
+            while (i < length && !/[\s>]/.test(source[i]) && !source.startsWith('/>', i)) i++;
+            if (i === valueStart) fail(`Missing value for attribute "${attributeName}"`, i);
+            tokens.push({ type: 'attribute', name: attributeName, value: source.slice(valueStart, i), valueType: 'unquoted', start: attributeStart, end: i });
+          }
+        }
+        continue;
+      }
+
+      // Expression child
+      if (source[i] === '{') {
+        const close = this._matchBrace(source, i, fail);
+        tokens.push({ type: 'expression', value: source.slice(i + 1, close).trim(), start, end: close + 1 });
+        i = close + 1;
+        continue;
+      }
+
+      // Text
+      while (i < length && source[i] !== '<' && source[i] !== '{') i++;
+      tokens.push({ type: 'text', value: source.slice(start, i), start, end: i });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Visit every node in an AST, depth first
+   * @param {object} node - The node to start from
+   * @param {function} visitor - Called with (node, parent, depth)
+   */
+  walk(node, visitor, parent = null, depth = 0) {
+    visitor(node, parent, depth);
+    (node.attributes || []).forEach(attribute => visitor(attribute, node, depth + 1));
+    (node.children || []).forEach(child => this.walk(child, visitor, node, depth + 1));
+  }
+
+  /**
+   * Find the closing brace of a {...} block, skipping nested braces and strings
+   * @param {string} source - The WFDL source
+   * @param {number} open - Offset of the opening brace
+   * @param {function} fail - Error reporter (message, offset)
+   * @returns {number} Offset of the matching closing brace
+   */
+  _matchBrace(source, open, fail) {
+    let depth = 0;
+    let i = open;
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (char === '"' || char === "'" || char === '`') {
+        const close = source.indexOf(char, i + 1);
+        if (close === -1) fail('Unterminated string in expression', i);
+        i = close + 1;
+        continue;
+      }
+
+      if (char === '{') depth++;
+      if (char === '}') {
+        depth--;
+        if (depth === 0) return i;
+      }
+      i++;
+    }
+
+    fail('Unterminated expression', open);
+  }
+
+  /**
+   * Build a function that maps source offsets to { line, column, offset }
+   * @param {string} source - The WFDL source
+   * @returns {function} The resolver
+   */
+  _positionResolver(source) {
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    return (offset) => {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      return { line: low + 1, column: offset - lineStarts[low] + 1, offset };
+    };
+  }
+}
+
+// Export for use in different contexts (self covers windows and the service worker)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { WFDLParser, WFDLSyntaxError };
+} else {
+  self.WFDLParser = WFDLParser;
+  self.WFDLSyntaxError = WFDLSyntaxError;
+}